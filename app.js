@@ -7,6 +7,7 @@ const http = require('http');
 const { Server } = require('socket.io');
 const rateLimit = require('express-rate-limit');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 require('dotenv').config();
 
 const app = express();
@@ -33,11 +34,19 @@ const io = new Server(server, {
     credentials: true
   }
 });
+// 관리자 전용 Socket.IO 네임스페이스 (연결 시 관리자 세션 토큰 필요)
+// 관리자 전용 공지, 감사 로그, 실시간 현황, 선점/대기 활동은 이 네임스페이스로만 전송
+const adminIo = io.of('/admin');
 
 const PORT = process.env.PORT || 3000;
 const MONGO_URI = process.env.MONGO_URI;
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
-const ADMIN_USERNAMES = process.env.ADMIN_USERNAMES ? process.env.ADMIN_USERNAMES.split(',') : [];
+const ADMIN_USERNAMES = process.env.ADMIN_USERNAMES ? process.env.ADMIN_USERNAMES.split(',').map(u=>u.trim()).filter(Boolean) : [];
+// 관리자 세션 토큰 서명 키 및 유효 시간 (기본 120분)
+const ADMIN_TOKEN_SECRET = process.env.ADMIN_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+const ADMIN_TOKEN_TTL_MS = (parseInt(process.env.ADMIN_TOKEN_TTL_MINUTES) || 120) * 60000;
+if(!process.env.ADMIN_TOKEN_SECRET)
+  console.warn('ADMIN_TOKEN_SECRET 환경변수 미설정: 임시 서명 키를 사용합니다. (서버 재시작 시 모든 관리자 세션 만료)');
 
 // 미들웨어 설정
 app.use(cors({
@@ -62,13 +71,60 @@ const limiter = rateLimit({
   skip: req => req.path === '/api/reservations/all' // 모든 예약 취소 API는 레이트 리밋 적용 안함
 });
 
-// MongoDB 연결
-mongoose.connect(MONGO_URI, {
-  useNewUrlParser:true,
-  useUnifiedTopology:true,
-  serverSelectionTimeoutMS:15000 // 서버 선택 타임아웃 15초
-}).then(()=>console.log('MongoDB connected'))
-  .catch(err=>console.error('MongoDB connection failed:', err));
+// 관리자 로그인 전용 Rate limiter: 학생 예약 요청과 요청 횟수를 따로 셈 (같은 IP라도 서로 한도를 소모하지 않도록)
+const adminLoginLimiter = rateLimit({
+  windowMs: 60000, // 1분
+  max: 10, // 1분당 10회 요청
+  message: 'Too many requests, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// 출석 체크인 전용 Rate limiter: 자습 시작 직후 기숙사 공유기(같은 IP)로 학생 대부분이 한꺼번에 체크인하므로 예약 요청과 따로, 넉넉하게 셈
+// (비밀번호 대입은 예약별 인증 잠금/대기로 막음)
+const checkInLimiter = rateLimit({
+  windowMs: 60000, // 1분
+  max: parseInt(process.env.CHECK_IN_RATE_LIMIT) || 600, // 1분당 600회 요청
+  message: 'Too many requests, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// 소켓 비밀번호 확인 요청(watchReservation) Rate limiter: IP당 1분에 최대 30회 (HTTP limiter와 같은 기준, 메모리에 기록)
+const SOCKET_AUTH_WINDOW_MS = 60000;
+const SOCKET_AUTH_MAX = 30;
+const socketAuthRequests = new Map(); // IP -> {count, resetAt}
+function consumeSocketAuthRequest(ip){
+  const now = Date.now();
+  let entry = socketAuthRequests.get(ip);
+  if(!entry || entry.resetAt <= now){
+    entry = {count:0, resetAt:now + SOCKET_AUTH_WINDOW_MS};
+    socketAuthRequests.set(ip, entry);
+  }
+  entry.count += 1;
+  return entry.count <= SOCKET_AUTH_MAX ? null : Math.ceil((entry.resetAt - now) / 1000); // 초과 시 남은 시간(초)
+}
+
+// 트랜잭션 지원 여부 (MongoDB 복제 세트 또는 mongos에서만 지원 / 연결 후 확인, 확인 전에는 null)
+// 명단 교체, 스냅샷 복원, 예약 가져오기(replace), 좌석 교환은 트랜잭션이 필요하므로 단독(standalone) 서버에서는 사용할 수 없음
+let transactionsSupported = null;
+const TRANSACTIONS_UNSUPPORTED_MESSAGE = '이 기능은 MongoDB 복제 세트(replica set) 환경에서만 사용할 수 있습니다. 서버 관리자에게 문의해주세요.';
+async function checkTransactionSupport(){
+  try{
+    const hello = await mongoose.connection.db.admin().command({hello:1});
+    transactionsSupported = !!hello.setName || hello.msg === 'isdbgrid';
+    if(!transactionsSupported)
+      console.error('MongoDB가 단독(standalone) 서버로 실행 중입니다. 명단 교체, 스냅샷 복원, 예약 가져오기(replace), 좌석 교환은 트랜잭션이 필요하므로 복제 세트(replica set)로 실행해야 합니다. (단일 노드 복제 세트: mongod --replSet rs0 후 rs.initiate())');
+  }catch(e){
+    console.error('MongoDB 트랜잭션 지원 여부 확인 실패:', e);
+  }
+}
+
+// 트랜잭션이 필요한 API 미들웨어 (단독 서버로 확인되면 503)
+function requireTransactions(req, res, next){
+  if(transactionsSupported === false) return res.status(503).json({success:false, message:TRANSACTIONS_UNSUPPORTED_MESSAGE});
+  next();
+}
 
 // 예약 스키마 정의
 const reservationSchema = new mongoose.Schema({
@@ -78,7 +134,6 @@ const reservationSchema = new mongoose.Schema({
   floor: {type:String, required:true},
   seat: {type:Number, required:true},
   password: {type:String, required:true}, // bcrypt 해싱된 비밀번호
-  plainPassword: {type:String, required:true}, // 관리자 확인용 평문 비밀번호 (보안 주의)
   createdAt: {type:Date, default:Date.now} // 예약 생성 시간
 });
 
@@ -96,7 +151,27 @@ reservationSchema.pre('save', async function(next){
 });
 const Reservation = mongoose.model('Reservation', reservationSchema);
 
-// 관리자 예약 가능 시간 설정 스키마 정의
+// 예약 데이터 공개 범위 정의
+// - 공개용: 좌석 점유 여부만 알 수 있도록 좌석 정보 + 마스킹된 이름만 전송
+// - 관리자용/본인 응답: 비밀번호 필드만 제외
+const PUBLIC_RESERVATION_FIELDS = '_id dormitory floor seat name';
+const ADMIN_RESERVATION_FIELDS = '-password';
+
+// 예약 비밀번호 재설정 코드 스키마 정의 (관리자가 발급, 1회용, 단시간 유효)
+const RESET_CODE_TTL_MS = (parseInt(process.env.RESET_CODE_TTL_MINUTES) || 15) * 60000; // 기본 15분
+const RESET_CODE_MAX_ATTEMPTS = 5; // 코드 입력 최대 실패 횟수 (초과 시 코드 폐기)
+const passwordResetCodeSchema = new mongoose.Schema({
+  reservation:{type:mongoose.Schema.Types.ObjectId, ref:'Reservation', unique:true, required:true}, // 예약당 1개만 유효
+  codeHash:{type:String, required:true}, // SHA-256 해싱된 재설정 코드
+  issuedBy:{type:String, required:true}, // 발급한 관리자 이름
+  attempts:{type:Number, default:0}, // 잘못된 코드 입력 횟수
+  expiresAt:{type:Date, required:true}, // 코드 만료 시간
+  createdAt:{type:Date, default:Date.now} // 발급 시간
+});
+passwordResetCodeSchema.index({expiresAt:1}, {expireAfterSeconds:0}); // 만료된 코드는 MongoDB TTL로 자동 삭제
+const PasswordResetCode = mongoose.model('PasswordResetCode', passwordResetCodeSchema);
+
+// 관리자 예약 가능 시간 설정 스키마 정의 (구버전: 예약 기간 스키마로 이전됨, 마이그레이션용으로만 사용)
 const adminSettingSchema = new mongoose.Schema({
   key:{type:String, unique:true, required:true}, // 'reservationTimes'로 고정
   reservationStartTime: {type:Date, default:null}, // 예약 시작 가능 시간
@@ -104,7 +179,298 @@ const adminSettingSchema = new mongoose.Schema({
 });
 const AdminSetting = mongoose.model('AdminSetting', adminSettingSchema);
 
-// 일반 공지사항 스키마 정의
+// 예약 기간 스키마 정의 (여러 기간을 동시에 운영, 전체/기숙사/층 단위 적용)
+const WINDOW_SCOPES = ['all','dormitory','floor']; // 적용 범위 (좁은 범위일수록 우선)
+const WINDOW_ACTIONS = ['create','change','cancel']; // 신규 예약, 좌석 변경, 예약 취소
+const WINDOW_RECURRENCES = ['none','daily','weekly']; // 반복 주기
+const RECURRENCE_PERIOD_MS = {daily:24*60*60000, weekly:7*24*60*60000};
+const LEGACY_WINDOW_KEY = 'reservationTimes'; // 기존 /api/admin-settings 호환용 기간 key
+const reservationWindowSchema = new mongoose.Schema({
+  key:{type:String, unique:true, sparse:true}, // 기존 설정 호환용 고정 key (일반 기간은 없음)
+  name:{type:String, default:''}, // 기간 이름 (예: '3학년 우선 예약')
+  scope:{type:String, enum:WINDOW_SCOPES, default:'all'}, // 적용 범위
+  dormitory:{type:String, default:null}, // 적용 기숙사 (scope가 dormitory/floor인 경우)
+  floor:{type:String, default:null}, // 적용 층 (scope가 floor인 경우)
+  startTime:{type:Date, default:null}, // 시작 시간 (반복 시 첫 회차)
+  endTime:{type:Date, default:null}, // 종료 시간 (반복 시 첫 회차)
+  recurrence:{type:String, enum:WINDOW_RECURRENCES, default:'none'}, // 반복 주기
+  recurrenceUntil:{type:Date, default:null}, // 반복 종료일 (없으면 계속 반복)
+  actions:{type:[{type:String, enum:WINDOW_ACTIONS}], default:()=>[...WINDOW_ACTIONS]}, // 허용 동작
+  updatedBy:{type:String, default:''}, // 마지막 수정 관리자
+  updatedAt:{type:Date, default:Date.now} // 마지막 업데이트 시간
+});
+const ReservationWindow = mongoose.model('ReservationWindow', reservationWindowSchema);
+
+// 좌석 임시 선점 스키마 정의 (예약 정보 입력 중 다른 사용자가 같은 좌석을 예약하지 못하도록 잠금)
+// 서버 재시작/다중 서버 환경에서도 유지되도록 MongoDB에 저장하고 TTL로 자동 만료
+const SEAT_HOLD_MS = (parseInt(process.env.SEAT_HOLD_SECONDS) || 60) * 1000; // 선점 유지 시간 (기본 60초)
+// IP당 동시에 선점할 수 있는 좌석 수 (소켓을 여러 개 열어 좌석을 모두 선점하는 경우 방지 / 기숙사 공유기로 같은 IP를 쓰는 학생이 많아 넉넉하게)
+const SEAT_HOLD_MAX_PER_IP = parseInt(process.env.SEAT_HOLD_MAX_PER_IP) || 30;
+const seatHoldSchema = new mongoose.Schema({
+  dormitory:{type:String, required:true},
+  floor:{type:String, required:true},
+  seat:{type:Number, required:true},
+  token:{type:String, required:true}, // 선점자 확인용 토큰 (선점한 클라이언트에게만 전달)
+  socketId:{type:String, required:true}, // 선점한 소켓 (연결 종료 시 해제)
+  ip:{type:String, default:''}, // 선점한 클라이언트 IP (IP별 선점 수 제한)
+  roomNo:{type:String, default:''}, // 선점한 학생 호실 (명단 등록 후에는 필수, 학생당 1좌석만 선점)
+  name:{type:String, default:''}, // 선점한 학생 이름
+  expiresAt:{type:Date, required:true}, // 선점 만료 시간
+  createdAt:{type:Date, default:Date.now}
+});
+seatHoldSchema.index({dormitory:1, floor:1, seat:1}, {unique:true}); // 좌석당 1명만 선점
+seatHoldSchema.index({expiresAt:1}, {expireAfterSeconds:0}); // 만료된 선점은 MongoDB TTL로 자동 삭제
+seatHoldSchema.index({ip:1, expiresAt:1}); // IP별 유효한 선점 수 조회
+seatHoldSchema.index({roomNo:1, name:1}); // 학생별 선점 조회
+const SeatHold = mongoose.model('SeatHold', seatHoldSchema);
+
+// 예약 변경 버전 스키마 정의 (기숙사+층 단위로 변경 때마다 1씩 증가)
+// 클라이언트는 받은 버전이 건너뛰면 누락을 감지하고 resync 요청
+const reservationVersionSchema = new mongoose.Schema({
+  dormitory:{type:String, required:true},
+  floor:{type:String, required:true},
+  version:{type:Number, default:0}
+});
+reservationVersionSchema.index({dormitory:1, floor:1}, {unique:true});
+const ReservationVersion = mongoose.model('ReservationVersion', reservationVersionSchema);
+
+// 대기 순서 카운터 스키마 정의 (기숙사+층 단위로 대기 신청 때마다 1씩 증가, 동시에 신청해도 순서가 겹치지 않도록)
+const waitlistCounterSchema = new mongoose.Schema({
+  dormitory:{type:String, required:true},
+  floor:{type:String, required:true},
+  position:{type:Number, default:0} // 마지막으로 배정한 순서
+});
+waitlistCounterSchema.index({dormitory:1, floor:1}, {unique:true});
+const WaitlistCounter = mongoose.model('WaitlistCounter', waitlistCounterSchema);
+
+// 대기자 명단 스키마 정의 (특정 좌석 또는 해당 층의 아무 좌석 대기)
+// 같은 층의 대기자는 seat 지정 여부와 관계없이 position 순서로 하나의 줄을 이룸
+const WAITLIST_STATUSES = ['waiting','promoted','removed']; // 대기 중, 예약 배정됨, 취소/삭제됨
+const waitlistEntrySchema = new mongoose.Schema({
+  roomNo:{type:String, required:true},
+  name:{type:String, required:true},
+  password:{type:String, required:true}, // bcrypt 해싱된 비밀번호 (배정 시 예약 비밀번호로 사용)
+  dormitory:{type:String, required:true},
+  floor:{type:String, required:true},
+  seat:{type:Number, default:null}, // 대기 좌석 (null이면 해당 층 아무 좌석)
+  position:{type:Number, required:true}, // 층 내 대기 순서 (작을수록 먼저)
+  token:{type:String, required:true, index:true}, // 소켓 알림 구독용 토큰 (신청자에게만 전달)
+  status:{type:String, enum:WAITLIST_STATUSES, default:'waiting'},
+  reservation:{type:mongoose.Schema.Types.ObjectId, ref:'Reservation', default:null}, // 배정된 예약
+  statusReason:{type:String, default:''}, // 상태 변경 사유
+  createdAt:{type:Date, default:Date.now}, // 대기 신청 시간
+  updatedAt:{type:Date, default:Date.now} // 마지막 상태 변경 시간
+});
+waitlistEntrySchema.index({dormitory:1, floor:1, status:1, position:1}); // 층별 대기 순서 조회용
+waitlistEntrySchema.index({roomNo:1, name:1}, {unique:true, partialFilterExpression:{status:'waiting'}}); // 1인 1대기
+
+// 비밀번호 저장 전 해싱 미들웨어 (예약 스키마와 동일한 방식)
+waitlistEntrySchema.pre('save', async function(next){
+  if(this.isModified('password') && this.password.length < 50){
+    this.password = await bcrypt.hash(this.password, 10);
+  }
+  next();
+});
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+// 좌석 교환 요청 스키마 정의 (요청자 예약과 상대 예약의 좌석을 맞바꿈, 상대가 수락하면 교환)
+// requesterSeat/targetSeat는 요청 당시 좌석으로, 수락 시 두 예약이 그대로인지 확인하는 데 사용
+const SWAP_STATUSES = ['pending','accepted','declined','cancelled','expired']; // 대기 중, 수락(교환 완료), 거절, 취소, 만료
+const SWAP_REQUEST_TTL_MS = (parseInt(process.env.SWAP_REQUEST_TTL_MINUTES) || 30) * 60000; // 교환 요청 유효 시간 (기본 30분)
+const swapSeatSchema = new mongoose.Schema({dormitory:String, floor:String, seat:Number}, {_id:false});
+const seatSwapRequestSchema = new mongoose.Schema({
+  requester:{type:mongoose.Schema.Types.ObjectId, ref:'Reservation', required:true}, // 요청한 예약
+  target:{type:mongoose.Schema.Types.ObjectId, ref:'Reservation', required:true}, // 교환 상대 예약
+  requesterSeat:{type:swapSeatSchema, required:true}, // 요청 당시 요청자 좌석
+  targetSeat:{type:swapSeatSchema, required:true}, // 요청 당시 상대 좌석
+  status:{type:String, enum:SWAP_STATUSES, default:'pending'},
+  statusReason:{type:String, default:''}, // 상태 변경 사유
+  expiresAt:{type:Date, required:true}, // 요청 만료 시간
+  respondedAt:{type:Date, default:null}, // 수락/거절/취소/만료 시간
+  createdAt:{type:Date, default:Date.now} // 요청 시간
+});
+seatSwapRequestSchema.index({requester:1}, {unique:true, partialFilterExpression:{status:'pending'}}); // 예약당 보낸 요청은 1개만
+seatSwapRequestSchema.index({target:1, status:1});
+seatSwapRequestSchema.index({status:1, expiresAt:1}); // 만료 요청 정리용
+const SeatSwapRequest = mongoose.model('SeatSwapRequest', seatSwapRequestSchema);
+
+// 자습 시간 일정 스키마 정의 (출석 확인 회차 / 예약 기간과 같은 방식으로 범위, 반복 지정)
+const studySessionSchema = new mongoose.Schema({
+  name:{type:String, default:''}, // 일정 이름 (예: '평일 야간 자습')
+  scope:{type:String, enum:WINDOW_SCOPES, default:'all'}, // 적용 범위
+  dormitory:{type:String, default:null}, // 적용 기숙사 (scope가 dormitory/floor인 경우)
+  floor:{type:String, default:null}, // 적용 층 (scope가 floor인 경우)
+  startTime:{type:Date, required:true}, // 시작 시간 (반복 시 첫 회차)
+  endTime:{type:Date, required:true}, // 종료 시간 (반복 시 첫 회차)
+  recurrence:{type:String, enum:WINDOW_RECURRENCES, default:'none'}, // 반복 주기
+  recurrenceUntil:{type:Date, default:null}, // 반복 종료일 (없으면 계속 반복)
+  lastProcessedEnd:{type:Date, default:null}, // 결석 처리가 끝난 마지막 회차 종료 시간 (이전 회차는 처리하지 않음)
+  updatedBy:{type:String, default:''}, // 마지막 수정 관리자
+  createdAt:{type:Date, default:Date.now},
+  updatedAt:{type:Date, default:Date.now}
+});
+const StudySession = mongoose.model('StudySession', studySessionSchema);
+
+// 출석 기록 스키마 정의 (예약 1건의 자습 회차 1회당 1건)
+// 예약이 취소/해제되어도 기록은 남도록 예약자 정보를 함께 저장
+const ATTENDANCE_STATUSES = ['present','absent','excused']; // 출석, 결석, 인정 결석 (결석 횟수에서 제외)
+const ATTENDANCE_METHODS = ['resident','admin','system']; // 본인 체크인, 관리자/키오스크 체크인, 자동 결석 처리
+const CHECKIN_OPEN_MS = (parseInt(process.env.CHECKIN_OPEN_MINUTES) || 10) * 60000; // 회차 시작 몇 분 전부터 체크인 가능 (기본 10분)
+const attendanceRecordSchema = new mongoose.Schema({
+  reservation:{type:mongoose.Schema.Types.ObjectId, ref:'Reservation', required:true},
+  roomNo:String, name:String, dormitory:String, floor:String, seat:Number, // 기록 당시 예약 정보
+  studySession:{type:mongoose.Schema.Types.ObjectId, ref:'StudySession', required:true},
+  sessionStart:{type:Date, required:true}, // 회차 시작 시간 (회차 구분용)
+  sessionEnd:{type:Date, required:true}, // 회차 종료 시간
+  status:{type:String, enum:ATTENDANCE_STATUSES, required:true},
+  method:{type:String, enum:ATTENDANCE_METHODS, required:true},
+  recordedBy:{type:String, default:''}, // 체크인/수정한 관리자
+  checkedInAt:{type:Date, default:null}, // 체크인 시간
+  createdAt:{type:Date, default:Date.now},
+  updatedAt:{type:Date, default:Date.now}
+});
+attendanceRecordSchema.index({reservation:1, studySession:1, sessionStart:1}, {unique:true}); // 회차당 1건
+attendanceRecordSchema.index({reservation:1, sessionStart:-1}); // 예약별 출석 이력 조회용
+const AttendanceRecord = mongoose.model('AttendanceRecord', attendanceRecordSchema);
+
+// 출석 정책 스키마 정의 (결석 누적 시 좌석 자동 해제)
+const ATTENDANCE_POLICY_KEY = 'attendancePolicy';
+const attendancePolicySchema = new mongoose.Schema({
+  key:{type:String, unique:true, default:ATTENDANCE_POLICY_KEY}, // 'attendancePolicy' 고정
+  enabled:{type:Boolean, default:false}, // 자동 해제 사용 여부 (꺼져 있어도 결석 기록은 남음)
+  maxMissed:{type:Number, default:3, min:1}, // 해제 기준 결석 횟수
+  consecutive:{type:Boolean, default:true}, // true: 연속 결석 기준, false: 누적 결석 기준
+  updatedBy:{type:String, default:''},
+  updatedAt:{type:Date, default:Date.now}
+});
+const AttendancePolicy = mongoose.model('AttendancePolicy', attendancePolicySchema);
+
+// 인증 실패 기록 스키마 정의 (무차별 대입 방지: 대상별, 대상+IP별, IP별 실패 횟수와 잠금 상태)
+// scope: 관리자 로그인, 예약 비밀번호(예약/대기 신청), 재설정 코드
+// kind: pair(대상+IP: 한 IP가 한 대상을 반복 시도), target(관리자 이름, 예약 ID: 여러 IP에서 나눠 시도), ip(여러 대상을 시도)
+const AUTH_SCOPES = ['admin_login','reservation','reset_code'];
+const AUTH_SCOPE_LABELS = {admin_login:'관리자 로그인', reservation:'예약 비밀번호', reset_code:'재설정 코드'};
+const AUTH_MAX_FAILURES = parseInt(process.env.AUTH_MAX_TARGET_FAILURES) || 5; // 대상+IP, 대상 잠금 기준 연속 실패 횟수
+// 예약 ID는 모든 클라이언트에 공개되므로 한 IP의 실패로는 그 IP에서의 시도만 잠그고(pair),
+// 대상 전체는 여러 IP에서 나눠 실패한 경우에만 잠금 (누구나 비밀번호를 틀려 다른 학생을 잠그지 못하도록)
+const AUTH_LOCK_MIN_IPS = parseInt(process.env.AUTH_LOCK_MIN_IPS) || 3;
+// IP는 잠그지 않고 대기 시간만 적용 (기숙사 공유기 등으로 여러 학생이 같은 IP를 쓰므로 잠그면 모두 이용할 수 없게 됨)
+// 여러 대상을 번갈아 시도하는 경우만 늦추도록 대상보다 넉넉한 횟수부터 대기 시간 적용
+const AUTH_IP_DELAY_FAILURES = parseInt(process.env.AUTH_IP_DELAY_FAILURES) || 20;
+const AUTH_FAILURE_WINDOW_MS = 15 * 60000; // 마지막 실패 후 15분이 지나면 실패 횟수 초기화
+const AUTH_LOCKOUT_MS = (parseInt(process.env.AUTH_LOCKOUT_MINUTES) || 15) * 60000; // 첫 잠금 시간 (잠길 때마다 2배)
+const AUTH_LOCKOUT_MAX_MS = 24 * 60 * 60000; // 최대 잠금 시간 (24시간)
+const AUTH_DELAY_BASE_MS = 1000; // 두 번째 실패부터 다음 시도까지 대기 시간 (실패할 때마다 2배)
+const AUTH_DELAY_MAX_MS = 30000; // 최대 대기 시간
+const AUTH_RECORD_RETENTION_MS = 24 * 60 * 60000; // 마지막 실패/잠금 해제 후 기록 보관 시간 (보관 중에는 잠금 시간이 계속 늘어남)
+const AUTH_PENDING_TIMEOUT_MS = 30000; // 결과가 기록되지 않은 진행 중 시도를 무시하는 시간 (처리 중 오류로 남은 시도)
+const authFailureSchema = new mongoose.Schema({
+  scope:{type:String, enum:AUTH_SCOPES, required:true},
+  kind:{type:String, enum:['pair','target','ip'], required:true},
+  key:{type:String, required:true}, // 관리자 이름, 예약/대기 신청 ID, '대상|IP' 또는 IP
+  label:{type:String, default:''}, // 표시용 이름 (예: '홍길동 (301)')
+  failures:{type:Number, default:0}, // 현재 연속 실패 횟수 (잠기면 0으로 초기화)
+  lockCount:{type:Number, default:0}, // 잠긴 횟수
+  lastFailureAt:{type:Date, default:null}, // 마지막 실패 시간
+  lastIp:{type:String, default:''}, // 마지막으로 실패한 IP
+  failureIps:{type:[String], default:[]}, // 대상 기록: 현재 실패 횟수에 포함된 IP 목록 (최대 AUTH_LOCK_MIN_IPS개)
+  nextAttemptAt:{type:Date, default:null}, // 다음 시도 가능 시간 (점진적 지연)
+  pending:{type:Number, default:0}, // 확인 중인 시도 수 (동시 요청이 잠금/대기 확인을 함께 통과하지 않도록 미리 예약)
+  pendingUntil:{type:Date, default:null}, // 마지막 시도 예약 만료 시간
+  lockedUntil:{type:Date, default:null}, // 잠금 해제 시간
+  expiresAt:{type:Date, required:true} // 기록 만료 시간 (MongoDB TTL로 자동 삭제)
+});
+authFailureSchema.index({scope:1, kind:1, key:1}, {unique:true});
+authFailureSchema.index({expiresAt:1}, {expireAfterSeconds:0});
+const AuthFailure = mongoose.model('AuthFailure', authFailureSchema);
+const WAITLIST_HIDDEN_FIELDS = '-password -token'; // 관리자 조회 시에도 제외할 필드
+
+// 감사 로그 스키마 정의 (예약/관리자 작업 기록, 서버 재시작 후에도 보존)
+const AUDIT_ACTOR_TYPES = ['admin','resident','system']; // 관리자, 예약자(학생), 서버 자동 처리
+const auditLogSchema = new mongoose.Schema({
+  actorType:{type:String, enum:AUDIT_ACTOR_TYPES, required:true}, // 작업 주체 유형
+  actorName:{type:String, default:''}, // 관리자 이름 또는 '이름 (호실)'
+  ip:{type:String, default:''}, // 요청 IP
+  action:{type:String, required:true}, // 작업 종류 (예: 'reservation.create', 'admin.login')
+  reservation:{type:mongoose.Schema.Types.ObjectId, ref:'Reservation', default:null}, // 대상 예약
+  target:{type:String, default:''}, // 대상 설명 (예약 외 대상: 관리자 계정, 기숙사 등)
+  before:{type:mongoose.Schema.Types.Mixed, default:null}, // 변경 전 값
+  after:{type:mongoose.Schema.Types.Mixed, default:null}, // 변경 후 값
+  createdAt:{type:Date, default:Date.now} // 기록 시간
+});
+auditLogSchema.index({createdAt:-1});
+auditLogSchema.index({action:1, createdAt:-1});
+auditLogSchema.index({actorName:1, createdAt:-1});
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+// 입사생 명단 스키마 정의 (명단이 등록되어 있으면 명단에 있는 학생만 자기 기숙사 좌석 예약 가능)
+const rosterEntrySchema = new mongoose.Schema({
+  roomNo:{type:String, required:true}, // 호실
+  name:{type:String, required:true}, // 이름
+  dormitory:{type:String, required:true}, // 배정 기숙사
+  grade:{type:String, default:''}, // 학년/기수 (선택)
+  updatedAt:{type:Date, default:Date.now} // 마지막 업데이트 시간
+});
+rosterEntrySchema.index({roomNo:1, name:1}, {unique:true}); // 호실+이름 유일 (예약과 동일한 기준)
+const RosterEntry = mongoose.model('RosterEntry', rosterEntrySchema);
+
+// 예약 스냅샷 스키마 정의 (전체 삭제/복원/가져오기 전 자동 백업, 수동 백업, 학기 보관)
+// 복원 시 그대로 되돌릴 수 있도록 해싱된 비밀번호까지 저장하므로 조회 API에서는 비밀번호 제외
+const SNAPSHOT_REASONS = ['manual','delete_all','pre_restore','pre_import','term_archive'];
+const snapshotReservationSchema = new mongoose.Schema({
+  originalId:{type:mongoose.Schema.Types.ObjectId}, // 원래 예약 ID
+  roomNo:String, name:String, dormitory:String, floor:String, seat:Number,
+  password:String, // bcrypt 해싱된 비밀번호
+  createdAt:Date
+}, {_id:false});
+const reservationSnapshotSchema = new mongoose.Schema({
+  name:{type:String, required:true}, // 스냅샷 이름
+  reason:{type:String, enum:SNAPSHOT_REASONS, default:'manual'}, // 생성 사유
+  term:{type:String, default:null}, // 학기 이름 (학기 보관 스냅샷)
+  count:{type:Number, default:0}, // 예약 수
+  reservations:{type:[snapshotReservationSchema], default:[]}, // 예약 목록
+  settings:{type:mongoose.Schema.Types.Mixed, default:null}, // 예약 기간 설정 ({windows})
+  createdBy:{type:String, default:''}, // 생성한 관리자
+  createdAt:{type:Date, default:Date.now} // 생성 시간
+});
+reservationSnapshotSchema.index({createdAt:-1});
+reservationSnapshotSchema.index({term:1});
+const ReservationSnapshot = mongoose.model('ReservationSnapshot', reservationSnapshotSchema);
+
+// 공지 스키마 정의 (여러 공지 동시 운영, 게시 기간 예약, 대상 기숙사/층 지정, 수정 이력 보관)
+const NOTICE_SEVERITIES = ['info','warning','critical']; // 중요도 (안내, 주의, 긴급)
+const NOTICE_AUDIENCES = ['all','dormitory','floor']; // 공지 대상 범위
+const LEGACY_NOTICE_KEY = 'currentAnnouncement'; // 기존 /api/announcement 호환용 공지 key
+const noticeVersionSchema = new mongoose.Schema({
+  version:Number, title:String, message:String, severity:String, priority:Number,
+  audience:String, dormitory:String, floor:String, startTime:Date, endTime:Date, active:Boolean,
+  editedBy:String, // 이 버전을 작성한 관리자
+  editedAt:Date // 이 버전이 작성된 시간
+}, {_id:false});
+const noticeSchema = new mongoose.Schema({
+  key:{type:String, unique:true, sparse:true}, // 기존 공지 호환용 고정 key (일반 공지는 없음)
+  title:{type:String, default:''}, // 제목
+  message:{type:String, default:''}, // 공지 내용
+  severity:{type:String, enum:NOTICE_SEVERITIES, default:'info'}, // 중요도
+  priority:{type:Number, default:0}, // 표시 우선순위 (클수록 위)
+  audience:{type:String, enum:NOTICE_AUDIENCES, default:'all'}, // 공지 대상 범위
+  dormitory:{type:String, default:null}, // 대상 기숙사 (audience가 dormitory/floor인 경우)
+  floor:{type:String, default:null}, // 대상 층 (audience가 floor인 경우)
+  startTime:{type:Date, default:null}, // 게시 시작 시간 (없으면 즉시)
+  endTime:{type:Date, default:null}, // 게시 종료 시간 (없으면 계속)
+  active:{type:Boolean, default:true}, // 게시 여부 (false면 기간과 관계없이 숨김)
+  version:{type:Number, default:1}, // 현재 버전 (수정할 때마다 1씩 증가)
+  history:{type:[noticeVersionSchema], default:[]}, // 이전 버전 목록
+  createdBy:{type:String, default:''}, // 작성한 관리자
+  updatedBy:{type:String, default:''}, // 마지막 수정 관리자
+  createdAt:{type:Date, default:Date.now}, // 작성 시간
+  updatedAt:{type:Date, default:Date.now} // 마지막 수정 시간
+});
+noticeSchema.index({active:1, startTime:1, endTime:1});
+const Notice = mongoose.model('Notice', noticeSchema);
+const SNAPSHOT_SUMMARY_FIELDS = '-reservations -settings'; // 목록 조회 시 제외할 필드
+
+// 일반 공지사항 스키마 정의 (구버전: 공지 스키마(Notice)로 이전됨, 마이그레이션용으로만 사용)
 const announcementSchema = new mongoose.Schema({
   key:{type:String, unique:true, default:'currentAnnouncement'}, // 'currentAnnouncement' 고정
   message:{type:String, default:''}, // 공지 내용
@@ -122,6 +488,69 @@ const adminOnlyAnnouncementSchema = new mongoose.Schema({
 });
 const AdminOnlyAnnouncement = mongoose.model('AdminOnlyAnnouncement', adminOnlyAnnouncementSchema);
 
+// 관리자 계정 스키마 정의
+const ADMIN_ROLES = ['viewer','operator','superadmin']; // 권한이 낮은 순서 (조회 전용 < 운영자 < 최고 관리자)
+const adminAccountSchema = new mongoose.Schema({
+  username:{type:String, unique:true, required:true}, // 관리자 이름
+  password:{type:String, required:true}, // bcrypt 해싱된 비밀번호
+  role:{type:String, enum:ADMIN_ROLES, default:'operator'}, // 관리자 권한
+  active:{type:Boolean, default:true}, // 계정 활성화 여부
+  lastLoginAt:{type:Date, default:null}, // 마지막 로그인 시간
+  createdAt:{type:Date, default:Date.now} // 계정 생성 시간
+});
+
+// 비밀번호 저장 전 해싱 미들웨어 (예약 스키마와 동일한 방식)
+adminAccountSchema.pre('save', async function(next){
+  if(this.isModified('password') && this.password.length < 50){
+    this.password = await bcrypt.hash(this.password, 10);
+  }
+  next();
+});
+const AdminAccount = mongoose.model('AdminAccount', adminAccountSchema);
+
+// 관리자 세션 스키마 정의 (로그아웃/강제 만료를 위해 서버에 저장)
+const adminSessionSchema = new mongoose.Schema({
+  admin:{type:mongoose.Schema.Types.ObjectId, ref:'AdminAccount', required:true}, // 세션 소유 관리자
+  username:{type:String, required:true}, // 로그 확인용 관리자 이름
+  ip:{type:String, default:''}, // 로그인 IP
+  revokedAt:{type:Date, default:null}, // 로그아웃/강제 만료 시간
+  expiresAt:{type:Date, required:true}, // 세션 만료 시간
+  createdAt:{type:Date, default:Date.now} // 로그인 시간
+});
+adminSessionSchema.index({expiresAt:1}, {expireAfterSeconds:0}); // 만료된 세션은 MongoDB TTL로 자동 삭제
+const AdminSession = mongoose.model('AdminSession', adminSessionSchema);
+
+// 기숙사 스키마 정의 (name은 예약의 dormitory 값과 동일하게 사용)
+const dormitorySchema = new mongoose.Schema({
+  name:{type:String, unique:true, required:true}, // 기숙사 이름 (예약 데이터의 dormitory)
+  label:{type:String, default:''}, // 화면 표시용 이름 (없으면 name 사용)
+  order:{type:Number, default:0}, // 표시 순서
+  updatedAt:{type:Date, default:Date.now} // 마지막 업데이트 시간
+});
+const Dormitory = mongoose.model('Dormitory', dormitorySchema);
+
+// 좌석 배치도 스키마 정의 (기숙사+층 단위)
+const seatSchema = new mongoose.Schema({
+  seat:{type:Number, required:true}, // 좌석 번호 (예약 데이터의 seat)
+  label:{type:String, default:''}, // 화면 표시용 좌석 이름
+  row:{type:Number, default:null}, // 배치도 행 위치 (선택)
+  col:{type:Number, default:null}, // 배치도 열 위치 (선택)
+  disabled:{type:Boolean, default:false}, // 사용 불가 좌석
+  staffOnly:{type:Boolean, default:false} // 사감/관리자 전용 좌석 (학생 예약 불가)
+}, {_id:false});
+const seatMapSchema = new mongoose.Schema({
+  dormitory:{type:String, required:true}, // 기숙사 이름
+  floor:{type:String, required:true}, // 층 (예약 데이터의 floor)
+  label:{type:String, default:''}, // 화면 표시용 층 이름
+  order:{type:Number, default:0}, // 표시 순서
+  rows:{type:Number, default:null}, // 배치도 전체 행 수 (선택)
+  cols:{type:Number, default:null}, // 배치도 전체 열 수 (선택)
+  seats:{type:[seatSchema], default:[]}, // 좌석 목록
+  updatedAt:{type:Date, default:Date.now} // 마지막 업데이트 시간
+});
+seatMapSchema.index({dormitory:1, floor:1}, {unique:true}); // 기숙사+층 유일
+const SeatMap = mongoose.model('SeatMap', seatMapSchema);
+
 // 약한 비밀번호 검사 헬퍼 함수
 function isWeakPassword(password){
   const p=password.toLowerCase();
@@ -152,318 +581,3880 @@ function isWeakPassword(password){
   return false;
 }
 
-// 관리자 로그인 API
-app.post('/api/admin-login', (req,res)=>{
-  const {password, username} = req.body;
-  const ip=req.ip;
-  if(!username || !password) return res.status(400).json({success:false,message:'이름과 비밀번호 모두 입력 필요'});
-  if(!ADMIN_PASSWORD) {
-    console.error(`서버 오류: ADMIN_PASSWORD 환경변수 미설정. IP: ${ip}`);
-    return res.status(500).json({success:false,message:'서버 관리자 비밀번호 미설정'});
-  }
-  if(!ADMIN_USERNAMES.includes(username)) {
-    console.log(`관리자 로그인 실패 (이름 오류): ${username}, IP: ${ip}`);
-    return res.status(401).json({success:false,message:'허용되지 않은 관리자 이름'});
-  }
-  if(password === ADMIN_PASSWORD){
-    console.log(`관리자 로그인 성공: ${username}, IP: ${ip}, 시간: ${new Date().toISOString()}`);
-    res.json({success:true, message:'관리자 로그인 성공'});
-  } else {
-    console.log(`관리자 로그인 실패 (비밀번호 오류): ${username}, IP: ${ip}, 시간: ${new Date().toISOString()}`);
-    res.status(401).json({success:false,message:'비밀번호 불일치'});
-  }
-});
+// 입력 문자열 앞뒤 공백 제거 헬퍼 함수 (문자열이 아니면 그대로 반환해 형식 검사에서 거르도록)
+function trimInput(value){
+  return typeof value === 'string' ? value.trim() : value;
+}
 
-// 모든 예약 조회 API
-app.get('/api/reservations', async (req, res)=>{
-  try{
-    const reservations = await Reservation.find({});
-    res.json(reservations);
-  }catch(e){
-    console.error('예약 조회 실패:', e);
-    res.status(500).json({message:'서버 오류'});
-  }
-});
+// 이름 마스킹 헬퍼 함수 (예: 홍길동 -> 홍*동, 김철 -> 김*)
+function maskName(name){
+  const chars = Array.from(name || '');
+  if(chars.length <= 1) return '*';
+  if(chars.length === 2) return chars[0] + '*';
+  return chars[0] + '*'.repeat(chars.length - 2) + chars[chars.length - 1];
+}
 
-// 예약 생성 또는 수정 API
-app.post('/api/reservations', limiter, async (req,res) => {
-  if(req.body.honeypot_field) return res.status(400).json({message:'비정상적 요청'}); // honeypot 필터
-  const {roomNo, name, dormitory, floor, seat, password} = req.body;
-  if(!roomNo || !name || !dormitory || !floor || seat === undefined || !password) 
-    return res.status(400).json({message:'모든 정보가 필요합니다.'});
-  if(isWeakPassword(password)) 
-    return res.status(400).json({message:'매우 단순한 비밀번호는 사용할 수 없습니다. 다른 비밀번호를 사용해주세요.'});
+// 공개용 예약 정보 변환 (비밀번호, 호실 제외 / 이름 마스킹)
+function toPublicReservation(r){
+  return {_id:r._id, dormitory:r.dormitory, floor:r.floor, seat:r.seat, name:maskName(r.name)};
+}
 
-  // 예약 가능 시간 확인
-  const adminSetting = await AdminSetting.findOne({key:'reservationTimes'});
-  if(!adminSetting || !adminSetting.reservationStartTime || !adminSetting.reservationEndTime)
-    return res.status(403).json({message:'예약 가능 시간이 설정되지 않았습니다.'});
-  const now = new Date();
-  if(now < adminSetting.reservationStartTime || now > adminSetting.reservationEndTime)
-    return res.status(403).json({message:'현재 예약 가능 시간이 아닙니다.'});
+// 관리자/본인 응답용 예약 정보 변환 (비밀번호 관련 필드 제외)
+function sanitizeReservation(r){
+  const obj = typeof r.toObject === 'function' ? r.toObject() : {...r};
+  delete obj.password;
+  return obj;
+}
 
-  try {
-    const conflict = await Reservation.findOne({dormitory, floor, seat});
-    const existing = await Reservation.findOne({roomNo, name});
+// 공개용 전체 예약 목록 조회
+async function getPublicReservations(){
+  const reservations = await Reservation.find({}).select(PUBLIC_RESERVATION_FIELDS).lean();
+  return reservations.map(toPublicReservation);
+}
 
-    // 중복 좌석 또는 이미 존재하는 사용자의 좌석 변경
-    if(conflict && (!existing || existing._id.toString() !== conflict._id.toString())) 
-      return res.status(409).json({message:'선택하신 좌석은 이미 예약되어 있습니다.'});
+// Socket.IO 좌석 구독 방 이름 (전체 / 기숙사 / 기숙사+층)
+const ALL_SEATS_ROOM = 'seats:all';
+function dormitoryRoom(dormitory){ return `seats:dorm:${dormitory}`; }
+function floorRoom(dormitory, floor){ return `seats:floor:${dormitory}:${floor}`; }
 
-    if(existing){ // 기존 사용자 - 예약 변경
-      const match = await bcrypt.compare(password, existing.password);
-      if(!match) return res.status(401).json({message:'비밀번호가 일치하지 않습니다.'});
-      const resv = await Reservation.findByIdAndUpdate(existing._id, {dormitory,floor,seat}, {new:true});
-      console.log(`예약 변경 성공: ${resv.name} (${resv.roomNo}), 좌석: ${resv.dormitory} ${resv.floor}-${resv.seat}`);
-      res.json({success:true, message:'예약 변경 성공', reservation: resv});
-    } else { // 신규 사용자 - 예약 생성
-      const resv = new Reservation({roomNo,name,dormitory,floor,seat,password,plainPassword:password});
-      await resv.save();
-      console.log(`예약 생성 성공: ${resv.name} (${resv.roomNo}), 좌석: ${resv.dormitory} ${resv.floor}-${resv.seat}`);
-      res.json({success:true, message:'예약 성공', reservation: resv});
-    }
-    const allReservations = await Reservation.find({});
-    io.emit('reservationsUpdated', allReservations); // 실시간 업데이트 알림
-  } catch(e){
-    console.error('예약 생성/변경 실패:', e);
-    if(e.code === 11000) return res.status(409).json({message:'중복된 예약 정보입니다.'});
-    res.status(500).json({message:'서버 오류'});
-  }
-});
+// 해당 좌석의 변경 사항을 받아야 하는 방 목록
+function seatRooms(dormitory, floor){
+  return [ALL_SEATS_ROOM, dormitoryRoom(dormitory), floorRoom(dormitory, floor)];
+}
 
-// --- !!! 라우트 순서 변경: `/api/reservations/all` 라우트를 `:id` 라우트보다 먼저 정의 !!! ---
-// 모든 예약 취소 API (관리자 이름 및 비밀번호 검증)
-app.delete('/api/reservations/all', async(req, res)=>{
-  const {adminUsername, adminPassword} = req.body; // 관리자 이름과 비밀번호를 모두 받음
-  const clientIp = req.ip;
+// 기숙사+층의 예약 버전 증가 후 새 버전 반환
+async function nextReservationVersion(dormitory, floor){
+  const doc = await ReservationVersion.findOneAndUpdate({dormitory, floor}, {$inc:{version:1}}, {new:true, upsert:true});
+  return doc.version;
+}
 
-  // 관리자 이름 및 비밀번호 검증
-  if(!adminUsername || !ADMIN_USERNAMES.includes(adminUsername)) {
-    console.log(`모든 예약 취소 실패 (권한 없음 - ${adminUsername || '미지정'}), IP: ${clientIp}`);
-    return res.status(403).json({message:'권한이 없습니다. 관리자 로그인 확인요망'});
-  }
-  if(adminPassword !== ADMIN_PASSWORD) {
-    console.log(`모든 예약 취소 실패 (관리자 비밀번호 불일치 - ${adminUsername}), IP: ${clientIp}`);
-    return res.status(401).json({success:false, message:'관리자 비밀번호가 틀렸습니다.'});
-  }
+// 구독 범위({dormitory, floor})의 공개용 예약 목록 + 층별 버전 조회 (초기 전송/resync 용)
+// 버전을 먼저 읽어 목록이 버전보다 오래된 상태가 되지 않도록 함
+async function getReservationSnapshot(subscription={}){
+  const filter = {};
+  if(subscription.dormitory) filter.dormitory = subscription.dormitory;
+  if(subscription.floor) filter.floor = subscription.floor;
+  const versions = await ReservationVersion.find(filter).select('-_id dormitory floor version').lean();
+  const reservations = await Reservation.find(filter).select(PUBLIC_RESERVATION_FIELDS).lean();
+  return {reservations:reservations.map(toPublicReservation), versions};
+}
 
-  try{
-    await Reservation.deleteMany({}); // 모든 예약 삭제
-    console.warn(`[모든 예약 삭제] 관리자(${adminUsername})에 의해 모든 예약이 취소되었습니다. IP: ${clientIp}`);
-    io.emit('reservationsUpdated', []); // 모든 클라이언트에 예약 목록 비어있음을 알림
-    res.json({success:true,message:'모든 예약이 취소되었습니다.'});
-  }catch(e){
-    console.error('전체 예약 삭제 실패:', e);
-    res.status(500).json({message:'서버 오류'});
-  }
-});
+// 좌석 예약 알림 (해당 좌석 구독자에게만)
+async function emitSeatReserved(r){
+  const version = await nextReservationVersion(r.dormitory, r.floor);
+  io.to(seatRooms(r.dormitory, r.floor)).emit('seatReserved', {
+    dormitory:r.dormitory, floor:r.floor, seat:r.seat, version, reservation:toPublicReservation(r)
+  });
+}
 
-// 개별 예약 취소 API (관리자 권한 시 예약자 비밀번호 없이 바로 취소 가능)
-app.delete('/api/reservations/:id', async(req, res)=>{
-  try{
-    const {id} = req.params;
-    let {password, adminUsername} = req.body;
-    const clientIp = req.ip;
+// 좌석 예약 취소 알림 (해당 좌석 구독자에게만)
+async function emitSeatReleased(r){
+  const version = await nextReservationVersion(r.dormitory, r.floor);
+  io.to(seatRooms(r.dormitory, r.floor)).emit('seatReleased', {
+    dormitory:r.dormitory, floor:r.floor, seat:r.seat, version, reservationId:r._id
+  });
+}
 
-    const isAdmin = adminUsername && ADMIN_USERNAMES.includes(adminUsername);
+// 좌석 변경 알림 (이전 좌석, 새 좌석 구독자 모두에게 / 층이 다르면 각 층의 버전이 따로 증가)
+async function emitSeatChanged(before, after){
+  const sameFloor = before.dormitory === after.dormitory && before.floor === after.floor;
+  const fromVersion = await nextReservationVersion(before.dormitory, before.floor);
+  const toVersion = sameFloor ? fromVersion : await nextReservationVersion(after.dormitory, after.floor);
+  io.to([...seatRooms(before.dormitory, before.floor), ...seatRooms(after.dormitory, after.floor)]).emit('seatChanged', {
+    from:{dormitory:before.dormitory, floor:before.floor, seat:before.seat, version:fromVersion},
+    to:{dormitory:after.dormitory, floor:after.floor, seat:after.seat, version:toVersion},
+    reservation:toPublicReservation(after)
+  });
+}
 
-    if(isAdmin){ // 관리자 권한으로 삭제 요청
-      const reservation = await Reservation.findById(id);
-      if(!reservation) return res.status(404).json({message:'예약을 찾을 수 없습니다.'});
-      await Reservation.findByIdAndDelete(id);
-      console.log(`관리자(${adminUsername})에 의해 예약(${reservation.name}, ${reservation.roomNo}) 취소됨. IP: ${clientIp}`);
-      const allReservations = await Reservation.find({});
-      io.emit('reservationsUpdated', allReservations); // 실시간 업데이트 알림
-      return res.json({success:true, message:`관리자(${adminUsername})가 예약을 취소했습니다.`});
-    }
+// 대량 변경(전체 삭제 등) 후 모든 층 버전을 올리고 모든 클라이언트에 resync 요청
+async function broadcastResync(){
+  await ReservationVersion.updateMany({}, {$inc:{version:1}});
+  io.emit('resyncRequired');
+}
 
-    // 관리자 권한이 없거나, adminUsername이 유효하지 않을 경우: 예약자 비밀번호 검증 필요
-    if(!password) return res.status(400).json({message:'예약 비밀번호를 입력해주세요.'});
-    const reservation = await Reservation.findById(id);
-    if(!reservation) return res.status(404).json({message:'예약을 찾을 수 없습니다.'});
-    const match = await bcrypt.compare(password, reservation.password);
-    if(!match) return res.status(401).json({success:false,message:'예약 비밀번호가 일치하지 않습니다.'});
-    await Reservation.findByIdAndDelete(id);
-    console.log(`사용자에 의해 예약(${reservation.name}, ${reservation.roomNo}) 취소됨. IP: ${clientIp}`);
-    const allReservations = await Reservation.find({});
-    io.emit('reservationsUpdated', allReservations); // 실시간 업데이트 알림
-    res.json({success:true,message:'예약 취소 완료'});
-  }catch(e){
-    console.error('예약 취소 실패:', e);
-    res.status(500).json({message:'서버 오류'});
-  }
-});
+// 정규식 특수문자 이스케이프 (이름 검색용)
+function escapeRegex(str){
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
-// 관리자 예약 가능 시간 조회 API
-app.get('/api/admin-settings', async (req,res) => {
-  try{
-    let settings = await AdminSetting.findOne({key:'reservationTimes'});
-    if(!settings){ // 설정이 없으면 기본값으로 생성
-      settings = new AdminSetting({key:'reservationTimes'});
-      await settings.save();
-    }
-    res.json(settings);
-  }catch(e){
-    console.error('관리자 설정 조회 실패:', e);
-    res.status(500).json({message:"서버 오류"});
-  }
-});
+// 비밀번호 재설정 코드 생성 (혼동되기 쉬운 문자 0/O, 1/I 제외한 8자리)
+const RESET_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+function generateResetCode(){
+  let code = '';
+  for(let i=0; i<8; i++) code += RESET_CODE_CHARS[crypto.randomInt(RESET_CODE_CHARS.length)];
+  return code;
+}
 
-// 관리자 예약 가능 시간 저장 API (관리자 이름+비밀번호 검증)
-app.put('/api/admin-settings', async (req,res) => {
-  const { reservationStartTime, reservationEndTime, adminUsername, adminPassword } = req.body;
-  const clientIp = req.ip;
+// 재설정 코드 해싱 (대소문자, 공백 무시)
+function hashResetCode(code){
+  return crypto.createHash('sha256').update(String(code).trim().toUpperCase()).digest('hex');
+}
 
-  if(!adminUsername || !adminPassword)
-    return res.status(400).json({message:'관리자 이름과 비밀번호를 입력해주세요.'});
-  if(!ADMIN_USERNAMES.includes(adminUsername))
-    return res.status(403).json({message:'허가되지 않은 관리자입니다.'});
-  if(adminPassword !== ADMIN_PASSWORD) // 평문 비밀번호 비교
-    return res.status(401).json({message:'관리자 비밀번호가 틀렸습니다.'});
+// 재설정 코드 비교 (타이밍 공격 방지)
+function resetCodeMatches(code, codeHash){
+  return crypto.timingSafeEqual(Buffer.from(hashResetCode(code)), Buffer.from(codeHash));
+}
 
-  try{
-    const settings = await AdminSetting.findOneAndUpdate(
-      {key:'reservationTimes'},
-      {reservationStartTime, reservationEndTime},
-      {new:true, upsert:true} // 없으면 새로 생성, 있으면 업데이트
-    );
-    console.log(`관리자(${adminUsername}) 예약 가능 시간 설정됨: ${reservationStartTime} ~ ${reservationEndTime}. IP: ${clientIp}`);
-    io.emit('settingsUpdated', settings); // 실시간 업데이트 알림
-    res.json({success:true, message:'예약 가능 시간이 설정되었습니다.', settings});
-  }catch(e){
-    console.error('관리자 예약 시간 설정 실패:', e);
-    res.status(500).json({message:'서버 오류'});
-  }
-});
+// 관리자 세션 토큰 서명 (payload를 base64url로 인코딩한 뒤 HMAC-SHA256 서명을 붙임)
+function signAdminToken(payload){
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const sig = crypto.createHmac('sha256', ADMIN_TOKEN_SECRET).update(body).digest('base64url');
+  return `${body}.${sig}`;
+}
 
-// 일반 공지사항 조회 API
-app.get('/api/announcement', async (req,res) => {
+// 관리자 세션 토큰 서명 및 만료 시간 검증 (유효하지 않으면 null)
+function verifyAdminToken(token){
+  if(typeof token !== 'string') return null;
+  const [body, sig] = token.split('.');
+  if(!body || !sig) return null;
+  const expected = Buffer.from(crypto.createHmac('sha256', ADMIN_TOKEN_SECRET).update(body).digest('base64url'));
+  const given = Buffer.from(sig);
+  if(given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
   try{
-    let announcement = await Announcement.findOne({key:'currentAnnouncement'});
-    if(!announcement){
-      announcement = new Announcement({key:'currentAnnouncement'});
-      await announcement.save();
-    }
-    res.json(announcement);
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+    if(!payload.sid || !payload.exp || Date.now() > payload.exp) return null;
+    return payload;
   }catch(e){
-    console.error('공지사항 조회 실패:', e);
-    res.status(500).json({message:'서버 오류'});
+    return null;
   }
-});
+}
 
-// 일반 공지사항 저장 API (관리자 이름+비밀번호 검증)
-app.put('/api/announcement', async (req,res) => {
-  const {message, active, adminUsername, adminPassword} = req.body;
-  const clientIp = req.ip;
+// 토큰으로 관리자 세션 확인 (서명, 만료, 로그아웃 여부, 계정 활성 상태까지 검사)
+async function authenticateAdminToken(token){
+  const payload = verifyAdminToken(token);
+  if(!payload || !mongoose.isValidObjectId(payload.sid)) return null;
+  const session = await AdminSession.findById(payload.sid);
+  if(!session || session.revokedAt || session.expiresAt < new Date()) return null;
+  const admin = await AdminAccount.findById(session.admin);
+  if(!admin || !admin.active) return null;
+  return {admin, session};
+}
 
-  if(!adminUsername || !adminPassword)
-    return res.status(400).json({message:'관리자 이름과 비밀번호가 필요합니다.'});
-  if(!ADMIN_USERNAMES.includes(adminUsername))
-    return res.status(403).json({message:'허가되지 않은 관리자입니다.'});
-  if(adminPassword !== ADMIN_PASSWORD)
-    return res.status(401).json({message:'비밀번호가 틀렸습니다.'});
+// 소켓 클라이언트 IP (Socket.IO는 Express의 trust proxy 설정을 따르지 않으므로 같은 방식으로 계산)
+// trust proxy 1과 동일하게 프록시 한 단계만 신뢰: X-Forwarded-For의 마지막 값, 없으면 연결 주소
+function getSocketClientIp(socket){
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if(typeof forwarded === 'string' && forwarded.trim()) return forwarded.split(',').pop().trim();
+  return socket.handshake.address;
+}
+
+// Authorization: Bearer <token> 헤더에서 토큰 추출
+function getBearerToken(req){
+  const header = req.get('authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+// 관리자 권한 비교 (admin의 권한이 role 이상인지)
+function hasAdminRole(admin, role){
+  return ADMIN_ROLES.indexOf(admin.role) >= ADMIN_ROLES.indexOf(role);
+}
+
+// 관리자 인증 미들웨어: 유효한 세션 토큰과 최소 권한(role)을 요구
+// 통과 시 req.admin(관리자 계정), req.adminSession(세션) 설정
+function requireAdmin(role='viewer'){
+  return async (req,res,next) => {
+    try{
+      const auth = await authenticateAdminToken(getBearerToken(req));
+      if(!auth) return res.status(401).json({success:false, message:'관리자 로그인이 필요합니다.'});
+      if(!hasAdminRole(auth.admin, role)){
+        console.log(`관리자 권한 부족: ${auth.admin.username} (${auth.admin.role}), 필요 권한: ${role}, ${req.method} ${req.path}, IP: ${req.ip}`);
+        return res.status(403).json({success:false, message:'권한이 없습니다.'});
+      }
+      req.admin = auth.admin;
+      req.adminSession = auth.session;
+      next();
+    }catch(e){
+      console.error('관리자 인증 실패:', e);
+      res.status(500).json({message:'서버 오류'});
+    }
+  };
+}
 
+// 관리자 계정이 하나도 없으면 기존 환경변수(ADMIN_USERNAMES, ADMIN_PASSWORD)로 최고 관리자 계정 생성
+async function seedAdminAccounts(){
   try{
-    const announcement = await Announcement.findOneAndUpdate(
-      {key:'currentAnnouncement'},
-      {message, active, updatedAt: new Date()},
-      {new:true, upsert:true}
-    );
-    console.log(`관리자(${adminUsername}) 일반 공지사항 변경. 활성: ${active}, 내용: ${message}. IP: ${clientIp}`);
-    io.emit('announcementUpdated', announcement); // 실시간 업데이트 알림
-    res.json({success:true, message:'공지사항이 저장되었습니다.'});
+    if(await AdminAccount.estimatedDocumentCount() > 0) return;
+    if(!ADMIN_PASSWORD || ADMIN_USERNAMES.length === 0){
+      console.warn('관리자 계정 없음: ADMIN_USERNAMES, ADMIN_PASSWORD 환경변수를 설정하면 초기 계정이 생성됩니다.');
+      return;
+    }
+    for(const username of ADMIN_USERNAMES){
+      await new AdminAccount({username, password:ADMIN_PASSWORD, role:'superadmin'}).save();
+    }
+    console.log(`초기 관리자 계정 ${ADMIN_USERNAMES.length}개 생성 완료. 각 관리자는 비밀번호를 변경해주세요.`);
   }catch(e){
-    console.error('공지사항 저장 실패:', e);
-    res.status(500).json({message:'서버 오류'});
+    console.error('초기 관리자 계정 생성 실패:', e);
   }
-});
+}
 
-// 관리자 전용 공지사항 조회 API
-app.get('/api/admin-announcement', async (req,res) => {
+// 마이그레이션: 기존 예약 문서에 남아 있는 평문 비밀번호(plainPassword) 필드 제거
+// 스키마에서 필드가 삭제되어 mongoose가 $unset을 걸러내므로 컬렉션에 직접 실행
+async function migrateDropPlainPassword(){
   try{
-    let announcement = await AdminOnlyAnnouncement.findOne({key:'adminOnlyAnnouncement'});
-    if(!announcement){
-      announcement = new AdminOnlyAnnouncement({key:'adminOnlyAnnouncement'});
-      await announcement.save();
-    }
-    res.json(announcement);
+    const result = await Reservation.collection.updateMany({plainPassword:{$exists:true}}, {$unset:{plainPassword:''}});
+    if(result.modifiedCount > 0) console.log(`마이그레이션: 예약 ${result.modifiedCount}건의 평문 비밀번호 제거 완료`);
   }catch(e){
-    console.error('관리자 전용 공지사항 조회 실패:', e);
-    res.status(500).json({message:'서버 오류'});
+    console.error('평문 비밀번호 제거 마이그레이션 실패:', e);
   }
-});
+}
 
-// 관리자 전용 공지사항 저장 API (관리자 이름+비밀번호 검증)
-app.put('/api/admin-announcement', async (req,res) => {
-  const {message, active, adminUsername, adminPassword} = req.body;
-  const clientIp = req.ip;
+// 배치도 숫자 입력값 변환 (숫자 또는 숫자 문자열만 허용, 그 외에는 NaN)
+function toLayoutNumber(value){
+  if(typeof value === 'number') return value;
+  if(typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
 
-  if(!adminUsername || !adminPassword)
-    return res.status(400).json({message:'관리자 이름과 비밀번호가 필요합니다.'});
-  if(!ADMIN_USERNAMES.includes(adminUsername))
-    return res.status(403).json({message:'허가되지 않은 관리자입니다.'});
-  if(adminPassword !== ADMIN_PASSWORD)
-    return res.status(401).json({message:'비밀번호가 틀렸습니다.'});
+// 좌석 목록 입력값 검증 및 정리 (오류 시 {error}, 정상 시 {seats})
+function normalizeSeats(seats){
+  if(!Array.isArray(seats)) return {error:'좌석 목록(seats)은 배열이어야 합니다.'};
+  const seen = new Set();
+  const result = [];
+  for(const s of seats){
+    if(!s || typeof s !== 'object' || Array.isArray(s)) return {error:'좌석 목록의 각 항목은 객체여야 합니다.'};
+    const seat = toLayoutNumber(s.seat);
+    if(!Number.isInteger(seat) || seat < 1) return {error:`올바르지 않은 좌석 번호입니다: ${s.seat}`};
+    if(seen.has(seat)) return {error:`중복된 좌석 번호입니다: ${seat}`};
+    seen.add(seat);
+    const row = s.row === undefined || s.row === null ? null : toLayoutNumber(s.row);
+    const col = s.col === undefined || s.col === null ? null : toLayoutNumber(s.col);
+    if((row !== null && !Number.isInteger(row)) || (col !== null && !Number.isInteger(col)))
+      return {error:`좌석 ${seat}의 행/열 위치가 올바르지 않습니다.`};
+    if(s.label !== undefined && s.label !== null && !['string','number'].includes(typeof s.label))
+      return {error:`좌석 ${seat}의 표시 이름이 올바르지 않습니다.`};
+    result.push({seat, label:s.label ? String(s.label) : '', row, col, disabled:!!s.disabled, staffOnly:!!s.staffOnly});
+  }
+  result.sort((a,b)=>a.seat-b.seat);
+  return {seats:result};
+}
 
-  try{
-    const announcement = await AdminOnlyAnnouncement.findOneAndUpdate(
-      {key:'adminOnlyAnnouncement'},
-      {message, active, updatedAt: new Date()},
-      {new:true, upsert:true}
-    );
-    console.log(`관리자(${adminUsername}) 관리자 전용 공지사항 변경. 활성: ${active}, 내용: ${message}. IP: ${clientIp}`);
-    io.emit('adminAnnouncementUpdated', announcement); // 실시간 업데이트 알림
-    res.json({success:true, message:'관리자 전용 공지사항이 저장되었습니다.'});
-  }catch(e){
-    console.error('관리자 전용 공지사항 저장 실패:', e);
-    res.status(500).json({message:'서버 오류'});
+// 기숙사/층 배치도 입력값 검증 및 정리 (label, order, rows, cols, seats 중 입력된 필드만)
+// 오류 시 {error}, 정상 시 {data}
+function normalizeLayoutInput(body){
+  const data = {};
+  if(body.label !== undefined){
+    if(body.label !== null && typeof body.label !== 'string') return {error:'표시 이름(label)은 문자열이어야 합니다.'};
+    data.label = body.label || '';
   }
-});
+  if(body.order !== undefined){
+    data.order = toLayoutNumber(body.order);
+    if(!Number.isFinite(data.order)) return {error:'순서(order)는 숫자여야 합니다.'};
+  }
+  for(const key of ['rows','cols']){
+    if(body[key] === undefined) continue;
+    data[key] = body[key] === null ? null : toLayoutNumber(body[key]);
+    if(data[key] !== null && (!Number.isInteger(data[key]) || data[key] < 1))
+      return {error:`${key === 'rows' ? '행' : '열'} 수(${key})는 1 이상의 정수여야 합니다.`};
+  }
+  if(body.seats !== undefined){
+    const normalized = normalizeSeats(body.seats);
+    if(normalized.error) return normalized;
+    data.seats = normalized.seats;
+  }
+  return {data};
+}
 
-// 관리자용 예약 평문 비밀번호 열람 API (관리자 이름+비밀번호 검증)
-app.post('/api/admin/reservations/:id/view-plain-password', async (req,res) => {
-  const {id} = req.params;
-  const {adminPassword, adminUsername} = req.body;
-  const clientIp = req.ip;
+// 전체 좌석 배치 조회 (기숙사 -> 층 -> 좌석 구조, 클라이언트 배치도 렌더링용)
+async function getLayout(){
+  const [dormitories, seatMaps] = await Promise.all([
+    Dormitory.find({}).sort({order:1, name:1}).lean(),
+    SeatMap.find({}).sort({order:1, floor:1}).lean()
+  ]);
+  return dormitories.map(d => ({
+    name:d.name,
+    label:d.label || d.name,
+    order:d.order,
+    floors:seatMaps.filter(m => m.dormitory === d.name).map(m => ({
+      floor:m.floor, label:m.label || m.floor, order:m.order, rows:m.rows, cols:m.cols, seats:m.seats
+    }))
+  }));
+}
 
-  if(!adminPassword || !adminUsername) 
-    return res.status(400).json({success:false, message:'관리자 이름과 비밀번호를 입력해주세요.'});
-  if(adminPassword !== ADMIN_PASSWORD) 
-    return res.status(401).json({success:false,message:'관리자 비밀번호가 틀렸습니다.'});
-  if(!ADMIN_USERNAMES.includes(adminUsername)) 
-    return res.status(403).json({message:'권한이 없습니다.'});
+// 모든 클라이언트에 좌석 배치 전송
+async function broadcastLayout(){
+  io.emit('layoutUpdated', await getLayout());
+}
 
-  try{
-    const reservation = await Reservation.findById(id).select('plainPassword name roomNo dormitory floor seat');
-    if(!reservation) return res.status(404).json({success:false, message:'예약을 찾을 수 없습니다.'});
-    console.log(`관리자(${adminUsername}) 예약(${reservation.name}, ${reservation.roomNo}) 비밀번호 열람. IP: ${clientIp}`);
-    res.json({success:true, plainPassword:reservation.plainPassword});
-  }catch(e){
-    console.error('비밀번호 열람 실패:', e);
-    res.status(500).json({success:false, message:'서버 오류'});
+// 예약 좌석 검증: 배치도에 존재하고 예약 가능한 좌석인지 확인 (문제 없으면 null, 있으면 오류 메시지)
+// 배치도가 하나도 없으면(등록 전) 좌석 번호 형식만 확인
+async function validateSeatSelection(dormitory, floor, seat){
+  const seatNo = Number(seat);
+  if(!Number.isInteger(seatNo)) return '올바르지 않은 좌석 번호입니다.';
+  if(!await SeatMap.exists({})) return null;
+  const seatMap = await SeatMap.findOne({dormitory:String(dormitory), floor:String(floor)}).lean();
+  if(!seatMap) return '존재하지 않는 기숙사 또는 층입니다.';
+  const target = seatMap.seats.find(s => s.seat === seatNo);
+  if(!target) return '존재하지 않는 좌석입니다.';
+  if(target.disabled) return '사용할 수 없는 좌석입니다.';
+  if(target.staffOnly) return '관리자 전용 좌석은 예약할 수 없습니다.';
+  return null;
+}
+
+// 예약 기간의 현재 진행 중이거나 다음 회차 계산 (지난 기간이면 null)
+function getWindowOccurrence(w, now=new Date()){
+  if(!w.startTime || !w.endTime) return null;
+  const t = now.getTime();
+  let start = new Date(w.startTime).getTime();
+  let end = new Date(w.endTime).getTime();
+  const period = RECURRENCE_PERIOD_MS[w.recurrence];
+  if(period && t >= end){
+    let k = Math.floor((t - start) / period);
+    if(t >= end + k*period) k += 1;
+    start += k*period;
+    end += k*period;
+    if(w.recurrenceUntil && start > new Date(w.recurrenceUntil).getTime()) return null;
   }
-});
+  if(t >= end) return null;
+  return {start:new Date(start), end:new Date(end), active:t >= start};
+}
 
-// Socket.IO 이벤트
-io.on('connection', async (socket)=>{
-  console.log(`클라이언트 연결됨: ${socket.id}`);
+// 예약 기간이 해당 좌석(기숙사+층)에 적용되는지 확인
+function windowMatchesSeat(w, dormitory, floor){
+  if(w.scope === 'all') return true;
+  if(w.scope === 'dormitory') return w.dormitory === dormitory;
+  return w.dormitory === dormitory && w.floor === floor;
+}
+
+// 좌석에 적용되는 현재 진행 중인 예약 기간 조회
+// 여러 기간이 겹치면 좁은 범위(층 > 기숙사 > 전체) 우선, 같은 범위면 가장 최근에 시작한 기간
+async function findActiveWindow(dormitory, floor, now=new Date()){
+  return selectActiveWindow(await ReservationWindow.find({}).lean(), dormitory, floor, now);
+}
+
+// 조회해 둔 예약 기간 목록에서 좌석에 적용되는 진행 중인 기간 선택 (여러 층을 한 번에 확인할 때 사용)
+function selectActiveWindow(windows, dormitory, floor, now=new Date()){
+  let best = null;
+  for(const w of windows){
+    if(!windowMatchesSeat(w, dormitory, floor)) continue;
+    const occurrence = getWindowOccurrence(w, now);
+    if(!occurrence || !occurrence.active) continue;
+    const priority = WINDOW_SCOPES.indexOf(w.scope);
+    if(!best || priority > best.priority || (priority === best.priority && occurrence.start > best.occurrence.start))
+      best = {window:w, occurrence, priority};
+  }
+  return best;
+}
+
+// 좌석에 대해 해당 동작(create/change/cancel)이 현재 허용되는지 확인 (허용 시 null, 아니면 오류 메시지)
+const WINDOW_ACTION_LABELS = {create:'신규 예약', change:'좌석 변경', cancel:'예약 취소'};
+async function checkReservationWindow(dormitory, floor, action){
+  const active = await findActiveWindow(String(dormitory), String(floor));
+  if(!active) return '현재 예약 가능 시간이 아닙니다.';
+  if(!active.window.actions.includes(action))
+    return `현재 기간(${active.window.name || '예약 기간'})에는 ${WINDOW_ACTION_LABELS[action]}을(를) 할 수 없습니다.`;
+  return null;
+}
+
+// 현재 진행 중이거나 예정된 예약 기간 목록 (다음 회차 시간 포함, 시작 시간 순)
+async function getSchedule(now=new Date()){
+  const windows = await ReservationWindow.find({}).lean();
+  return windows
+    .map(w => ({w, occurrence:getWindowOccurrence(w, now)}))
+    .filter(({occurrence}) => occurrence)
+    .sort((a,b) => a.occurrence.start - b.occurrence.start)
+    .map(({w, occurrence}) => ({
+      _id:w._id, name:w.name, scope:w.scope, dormitory:w.dormitory, floor:w.floor,
+      recurrence:w.recurrence, actions:w.actions,
+      start:occurrence.start, end:occurrence.end, active:occurrence.active
+    }));
+}
+
+// 모든 클라이언트에 예약 기간 목록 전송
+async function broadcastSchedule(){
+  io.emit('scheduleUpdated', await getSchedule());
+}
+
+// 기존 예약 가능 시간 설정 형식으로 변환 (/api/admin-settings, settingsUpdated 호환)
+async function getLegacySettings(){
+  const w = await ReservationWindow.findOne({key:LEGACY_WINDOW_KEY}).lean();
+  return {key:LEGACY_WINDOW_KEY, reservationStartTime:w ? w.startTime : null, reservationEndTime:w ? w.endTime : null};
+}
+
+// 예약 기간 입력값 검증 및 정리 (오류 시 {error}, 정상 시 {data})
+// 수정 시에는 existing(기존 기간)과 병합한 결과로 검증
+function normalizeWindowInput(body, existing={}){
+  const merged = {...existing, ...body};
+  const data = {};
+  if(merged.name !== undefined) data.name = String(merged.name || '');
+  data.scope = merged.scope || 'all';
+  if(!WINDOW_SCOPES.includes(data.scope)) return {error:'올바르지 않은 적용 범위입니다.'};
+  data.dormitory = data.scope === 'all' ? null : (merged.dormitory ? String(merged.dormitory) : null);
+  data.floor = data.scope === 'floor' ? (merged.floor ? String(merged.floor) : null) : null;
+  if(data.scope !== 'all' && !data.dormitory) return {error:'적용할 기숙사를 입력해주세요.'};
+  if(data.scope === 'floor' && !data.floor) return {error:'적용할 층을 입력해주세요.'};
+
+  data.startTime = merged.startTime ? new Date(merged.startTime) : null;
+  data.endTime = merged.endTime ? new Date(merged.endTime) : null;
+  if(!data.startTime || !data.endTime || isNaN(data.startTime) || isNaN(data.endTime))
+    return {error:'시작 시간과 종료 시간을 올바르게 입력해주세요.'};
+  if(data.endTime <= data.startTime) return {error:'종료 시간은 시작 시간 이후여야 합니다.'};
+
+  data.recurrence = merged.recurrence || 'none';
+  if(!WINDOW_RECURRENCES.includes(data.recurrence)) return {error:'올바르지 않은 반복 주기입니다.'};
+  const period = RECURRENCE_PERIOD_MS[data.recurrence];
+  if(period && data.endTime - data.startTime >= period) return {error:'반복 기간은 반복 주기보다 짧아야 합니다.'};
+  data.recurrenceUntil = merged.recurrenceUntil ? new Date(merged.recurrenceUntil) : null;
+  if(data.recurrenceUntil && isNaN(data.recurrenceUntil)) return {error:'반복 종료일이 올바르지 않습니다.'};
+
+  data.actions = merged.actions === undefined ? [...WINDOW_ACTIONS] : merged.actions;
+  if(!Array.isArray(data.actions) || data.actions.length === 0 || data.actions.some(a => !WINDOW_ACTIONS.includes(a)))
+    return {error:'허용 동작(actions)은 create, change, cancel 중 하나 이상이어야 합니다.'};
+  return {data};
+}
+
+// 마이그레이션: 기존 단일 예약 가능 시간 설정(AdminSetting)을 예약 기간으로 이전
+async function migrateLegacyReservationTimes(){
+  try{
+    if(await ReservationWindow.exists({key:LEGACY_WINDOW_KEY})) return;
+    const legacy = await AdminSetting.findOne({key:'reservationTimes'});
+    if(!legacy) return;
+    await ReservationWindow.create({
+      key:LEGACY_WINDOW_KEY, name:'기본 예약 기간', scope:'all',
+      startTime:legacy.reservationStartTime, endTime:legacy.reservationEndTime, updatedBy:'migration'
+    });
+    console.log('마이그레이션: 기존 예약 가능 시간 설정을 예약 기간으로 이전 완료');
+  }catch(e){
+    console.error('예약 가능 시간 마이그레이션 실패:', e);
+  }
+}
+
+// 공개용 좌석 선점 정보 변환 (선점 토큰, 소켓 ID 제외)
+function toPublicHold(h){
+  return {dormitory:h.dormitory, floor:h.floor, seat:h.seat, expiresAt:h.expiresAt};
+}
+
+// 현재 유효한 좌석 선점 목록 조회 (TTL 삭제는 최대 1분 지연되므로 만료 시간으로 한 번 더 거름)
+async function getActiveHolds(subscription={}){
+  const filter = {expiresAt:{$gt:new Date()}};
+  if(subscription.dormitory) filter.dormitory = subscription.dormitory;
+  if(subscription.floor) filter.floor = subscription.floor;
+  const holds = await SeatHold.find(filter).lean();
+  return holds.map(toPublicHold);
+}
+
+// 좌석 선점 해제 후 모든 클라이언트에 알림 (다른 서버가 먼저 삭제한 경우 알림 생략)
+// revokedReason을 주면 선점한 소켓에 'seatHoldRevoked'로 해제 사유 알림 (본인이 해제하지 않은 경우)
+async function releaseHolds(filter, {revokedReason=null}={}){
+  const holds = await SeatHold.find(filter).lean();
+  for(const h of holds){
+    const result = await SeatHold.deleteOne({_id:h._id});
+    if(result.deletedCount === 1){
+      io.to(seatRooms(h.dormitory, h.floor)).emit('seatHoldReleased', toPublicHold(h));
+      if(revokedReason) io.to(h.socketId).emit('seatHoldRevoked', {...toPublicHold(h), reason:revokedReason});
+      emitHoldActivity('released', h);
+    }
+  }
+  return holds.length;
+}
+
+// 만료된 좌석 선점 정리 (주기적으로 실행)
+async function sweepExpiredHolds(){
+  if(mongoose.connection.readyState !== 1) return; // DB 연결 전에는 건너뜀
+  try{
+    await releaseHolds({expiresAt:{$lte:new Date()}});
+  }catch(e){
+    console.error('만료된 좌석 선점 정리 실패:', e);
+  }
+}
+
+// 예약 시 좌석 선점 확인: 다른 사용자가 선점 중인 좌석이면 오류 메시지, 아니면 null
+async function checkSeatHold(dormitory, floor, seat, holdToken){
+  const hold = await SeatHold.findOne({dormitory:String(dormitory), floor:String(floor), seat:Number(seat), expiresAt:{$gt:new Date()}}).lean();
+  if(hold && hold.token !== holdToken) return '다른 사용자가 선택 중인 좌석입니다. 잠시 후 다시 시도해주세요.';
+  return null;
+}
+
+// 대기자의 현재 순번 계산 (같은 층 대기 줄 기준, 1부터)
+async function getWaitlistRank(entry){
+  const ahead = await WaitlistEntry.countDocuments({
+    dormitory:entry.dormitory, floor:entry.floor, status:'waiting', position:{$lt:entry.position}
+  });
+  return ahead + 1;
+}
+
+// 층의 다음 대기 순서 배정 (카운터가 없거나 기존 대기자보다 작으면 마지막 대기 순서부터 이어서 셈)
+async function nextWaitlistPosition(dormitory, floor){
+  const last = await WaitlistEntry.findOne({dormitory, floor, status:'waiting'}).sort({position:-1}).select('position').lean();
+  await WaitlistCounter.updateOne({dormitory, floor}, {$max:{position:last ? last.position : 0}}, {upsert:true});
+  const doc = await WaitlistCounter.findOneAndUpdate({dormitory, floor}, {$inc:{position:1}}, {new:true});
+  return doc.position;
+}
+
+// 층의 대기 순서를 1부터 다시 매김 (관리자 순서 변경 시)
+async function renumberWaitlist(orderedIds){
+  await WaitlistEntry.bulkWrite(orderedIds.map((id, i) => ({
+    updateOne:{filter:{_id:id}, update:{position:i+1}}
+  })));
+}
+
+// 빈 좌석을 대기자에게 자동 배정 (해당 좌석 대기자 또는 층 전체 대기자 중 가장 앞 순서)
+// 이미 다른 예약이 있는 대기자는 대기 취소 처리 후 다음 대기자로 넘어감
+// 배정되면 새 예약을 반환, 대기자가 없거나 좌석이 이미 찼으면 null
+async function promoteFromWaitlist(dormitory, floor, seat){
+  if(await validateSeatSelection(dormitory, floor, seat)) return null; // 사용 불가/관리자 전용 좌석은 배정하지 않음
+  const candidates = await WaitlistEntry.find({
+    dormitory, floor, status:'waiting', $or:[{seat}, {seat:null}]
+  }).sort({position:1, createdAt:1});
+
+  for(const entry of candidates){
+    if(await Reservation.exists({roomNo:entry.roomNo, name:entry.name})){
+      entry.set({status:'removed', statusReason:'이미 다른 좌석을 예약함', updatedAt:new Date()});
+      await entry.save();
+      emitWaitlistActivity('remove', entry);
+      continue;
+    }
+    let resv;
+    try{
+      // 대기자 비밀번호는 이미 해싱되어 있으므로 예약 저장 시 다시 해싱되지 않음
+      resv = await new Reservation({roomNo:entry.roomNo, name:entry.name, dormitory, floor, seat, password:entry.password}).save();
+    }catch(e){
+      if(e.code === 11000) return null; // 그 사이 다른 사용자가 좌석을 예약함
+      throw e;
+    }
+    entry.set({status:'promoted', reservation:resv._id, statusReason:'', updatedAt:new Date()});
+    await entry.save();
+    console.log(`대기자 자동 배정: ${resv.name} (${resv.roomNo}), 좌석: ${resv.dormitory} ${resv.floor}-${resv.seat}`);
+    await writeAuditLog(null, {actorType:'system', action:'waitlist.promote', reservation:resv, target:String(entry._id), after:auditReservation(resv)});
+    await releaseHolds({dormitory, floor, seat}, {revokedReason:'대기자에게 자동 배정된 좌석입니다.'}); // 배정된 좌석의 선점 해제 (선점자에게 알림)
+    io.to(`waitlist:${entry._id}`).emit('waitlistPromoted', {
+      entryId:entry._id, reservation:sanitizeReservation(resv)
+    }); // 배정된 대기자에게 알림
+    emitWaitlistActivity('promote', entry);
+    await emitSeatReserved(resv); // 실시간 업데이트 알림
+    return resv;
+  }
+  return null;
+}
+
+// 예약 취소/변경으로 비게 된 좌석을 대기자에게 배정 (응답 후 실행되므로 오류는 로그만 남김)
+async function promoteFreedSeat(dormitory, floor, seat){
+  try{
+    await promoteFromWaitlist(dormitory, floor, seat);
+  }catch(e){
+    console.error('대기자 자동 배정 실패:', e);
+  }
+}
+
+// 감사 로그용 예약 정보 (비밀번호 제외)
+function auditReservation(r){
+  if(!r) return null;
+  return {roomNo:r.roomNo, name:r.name, dormitory:r.dormitory, floor:r.floor, seat:r.seat};
+}
+
+// 감사 로그 기록 (작업 주체는 지정하지 않으면 req.admin 기준으로 관리자/예약자 판단)
+// required가 true이면 기록 실패 시 예외를 던져 작업을 중단시킴 (반드시 기록되어야 하는 작업용)
+async function writeAuditLog(req, {actorType, actorName, action, reservation=null, target='', before=null, after=null}, {required=false}={}){
+  const admin = req && req.admin;
+  const entry = {
+    actorType:actorType || (admin ? 'admin' : 'resident'),
+    actorName:actorName || (admin ? admin.username : ''),
+    ip:req ? req.ip : '',
+    action, reservation:reservation && reservation._id ? reservation._id : reservation, target, before, after
+  };
+  try{
+    const log = await AuditLog.create(entry);
+    adminIo.to(adminRoleRoom('superadmin')).emit('auditLogCreated', log); // 감사 로그 조회 권한(최고 관리자)이 있는 관리자에게만 전송
+  }catch(e){
+    console.error(`감사 로그 기록 실패 (${action}):`, e);
+    if(required) throw e;
+  }
+}
+
+// 관리자 소켓 권한별 방 (해당 권한으로 로그인한 관리자 소켓이 참여)
+function adminRoleRoom(role){
+  return `admin:role:${role}`;
+}
+
+// 관리자 소켓 연결 종료 (세션 만료/로그아웃 시 / exceptSession 세션의 소켓은 유지)
+async function disconnectAdminSockets({admin, session, exceptSession}){
+  const room = session ? `admin:session:${session}` : `admin:account:${admin}`;
+  const sockets = await adminIo.in(room).fetchSockets();
+  for(const s of sockets){
+    if(exceptSession && s.data.sessionId === String(exceptSession)) continue;
+    s.disconnect(true);
+  }
+}
+
+// 관리자에게 좌석 선점 활동 전송 (type: 'held' | 'released' / 선점한 소켓 포함)
+function emitHoldActivity(type, h){
+  adminIo.emit('holdActivity', {type, hold:{...toPublicHold(h), socketId:h.socketId, createdAt:h.createdAt}});
+}
+
+// 관리자에게 대기 활동 전송 (type: 'join' | 'leave' | 'reorder' | 'remove' | 'promote' / 비밀번호, 토큰 제외)
+function emitWaitlistActivity(type, entry){
+  const {_id, roomNo, name, dormitory, floor, seat, position, status, statusReason, reservation, createdAt} = entry;
+  adminIo.emit('waitlistActivity', {type, entry:{_id, roomNo, name, dormitory, floor, seat, position, status, statusReason, reservation, createdAt}});
+}
+
+// 관리자 실시간 현황 (예약 수, 선점 중인 좌석 수, 대기자 수, 접속 중인 클라이언트 수)
+async function getAdminLiveStats(){
+  const [reservations, holds, waiting] = await Promise.all([
+    Reservation.estimatedDocumentCount(),
+    SeatHold.countDocuments({expiresAt:{$gt:new Date()}}),
+    WaitlistEntry.countDocuments({status:'waiting'})
+  ]);
+  return {reservations, holds, waiting, clients:io.of('/').sockets.size, updatedAt:new Date()};
+}
+
+// 현황 통계에 사용하는 감사 로그 작업 (예약 생성: 신규 예약, 대기자 배정 / 예약 취소: 취소, 결석 자동 해제)
+const STATS_CREATED_ACTIONS = ['reservation.create','waitlist.promote'];
+const STATS_CANCELLED_ACTIONS = ['reservation.cancel','attendance.release'];
+const STATS_MOVE_ACTIONS = ['reservation.change','swap.accept']; // 층 간 이동 (층별 변동에만 반영, 생성/취소 시계열에는 영향 없음)
+// 대량 작업은 감사 로그에 층별 내역 없이 건수만 남으므로 층별 변동/시계열에 포함할 수 없음
+// 대신 통계 응답의 bulkOperations로 해당 구간에 있었던 대량 작업을 알려 수치가 맞지 않는 이유를 확인할 수 있게 함
+const STATS_BULK_ACTIONS = ['reservation.import','reservation.delete_all','snapshot.restore','term.archive']; // reservation.import는 저장 완료 후에만 기록됨
+const STATS_MAX_BUCKETS = 1440; // 시계열 최대 구간 수
+
+// 감사 로그를 층별 좌석 변동 이벤트로 변환하는 파이프라인 단계
+// 다른 층으로 좌석을 변경하면 이전 층은 movedOut, 새 층은 movedIn (같은 층 안의 변경은 점유율에 영향이 없어 제외)
+// 좌석 교환은 요청자, 상대 각각을 좌석 변경과 같은 방식으로 처리
+const STATS_SWAP_MOVES = ['requester','target'].flatMap(who => [
+  {dormitory:`$before.${who}.dormitory`, floor:`$before.${who}.floor`, kind:'movedOut'},
+  {dormitory:`$after.${who}.dormitory`, floor:`$after.${who}.floor`, kind:'movedIn'}
+]);
+const STATS_EVENT_STAGES = [
+  {$project:{createdAt:1, events:{$switch:{
+    branches:[
+      {case:{$in:['$action', STATS_CREATED_ACTIONS]}, then:[{dormitory:'$after.dormitory', floor:'$after.floor', kind:'created'}]},
+      {case:{$in:['$action', STATS_CANCELLED_ACTIONS]}, then:[{dormitory:'$before.dormitory', floor:'$before.floor', kind:'cancelled'}]},
+      {
+        case:{$and:[
+          {$eq:['$action', 'reservation.change']},
+          {$or:[{$ne:['$before.dormitory', '$after.dormitory']}, {$ne:['$before.floor', '$after.floor']}]}
+        ]},
+        then:[
+          {dormitory:'$before.dormitory', floor:'$before.floor', kind:'movedOut'},
+          {dormitory:'$after.dormitory', floor:'$after.floor', kind:'movedIn'}
+        ]
+      },
+      {
+        case:{$and:[
+          {$eq:['$action', 'swap.accept']},
+          {$or:[
+            {$ne:['$before.requester.dormitory', '$before.target.dormitory']},
+            {$ne:['$before.requester.floor', '$before.target.floor']}
+          ]}
+        ]},
+        then:STATS_SWAP_MOVES
+      }
+    ],
+    default:[]
+  }}}},
+  {$unwind:'$events'},
+  {$project:{createdAt:1, dormitory:'$events.dormitory', floor:'$events.floor', kind:'$events.kind'}}
+];
+
+// 점유율 통계 (dormitory, floor 필터 / 모든 수치는 MongoDB 집계로 계산)
+// floors: 층별 전체 좌석(사용 불가, 관리자 전용 제외), 예약 좌석, 점유율, 현재 예약 기간 중 변동(생성/취소/이동)
+// series: from~to 구간의 bucketMinutes분 단위 예약 생성/취소 수 (기본: 진행 중인 예약 기간 시작부터 현재까지)
+// changes, series는 예약 1건 단위 작업만 집계 / 그 사이 대량 작업(가져오기, 전체 삭제, 복원, 학기 초기화)이 있으면 bulkOperations에 표시
+async function getOccupancyStats({dormitory, floor, from, to, bucketMinutes=1}={}, now=new Date()){
+  const scope = {};
+  if(dormitory) scope.dormitory = String(dormitory);
+  if(dormitory && floor) scope.floor = String(floor);
+
+  const [seatMaps, reservedCounts, windows] = await Promise.all([
+    SeatMap.aggregate([
+      {$match:scope},
+      {$project:{
+        _id:0, dormitory:1, floor:1, label:1, order:1,
+        // 예약 가능한 좌석만 집계 (사용 불가, 관리자 전용 좌석 제외 / validateSeatSelection과 같은 기준)
+        totalSeats:{$size:{$filter:{input:'$seats', cond:{$and:[{$ne:['$$this.disabled', true]}, {$ne:['$$this.staffOnly', true]}]}}}}
+      }},
+      {$sort:{dormitory:1, order:1, floor:1}}
+    ]),
+    Reservation.aggregate([
+      {$match:scope},
+      {$group:{_id:{dormitory:'$dormitory', floor:'$floor'}, reserved:{$sum:1}}}
+    ]),
+    ReservationWindow.find({}).lean()
+  ]);
+  const keyOf = f => `${f.dormitory}\u0000${f.floor}`;
+  const reservedMap = new Map(reservedCounts.map(r => [keyOf(r._id), r.reserved]));
+  const percentage = (reserved, total) => total > 0 ? Math.round(reserved / total * 1000) / 10 : 0;
+
+  // 좌석 배치가 없는 층의 예약도 빠지지 않도록 배치 없는 층(unmapped, 좌석 수 0)으로 추가
+  // (배치 등록 전 예약, 배치가 없는 층의 이전 예약 / 합계 reserved가 실제 예약 수와 같도록)
+  const mappedKeys = new Set(seatMaps.map(keyOf));
+  const unmappedFloors = reservedCounts
+    .filter(r => !mappedKeys.has(keyOf(r._id)))
+    .map(r => ({dormitory:r._id.dormitory, floor:r._id.floor, label:'', totalSeats:0, unmapped:true}))
+    .sort((a, b) => String(a.dormitory).localeCompare(String(b.dormitory)) || String(a.floor).localeCompare(String(b.floor)));
+  const floors = [...seatMaps, ...unmappedFloors].map(m => {
+    const active = selectActiveWindow(windows, m.dormitory, m.floor, now);
+    const reserved = reservedMap.get(keyOf(m)) || 0;
+    return {
+      dormitory:m.dormitory, floor:m.floor, label:m.label, unmapped:!!m.unmapped, totalSeats:m.totalSeats, reserved,
+      available:Math.max(0, m.totalSeats - reserved), percentage:percentage(reserved, m.totalSeats),
+      window:active ? {_id:active.window._id, name:active.window.name, start:active.occurrence.start, end:active.occurrence.end} : null,
+      changes:{created:0, cancelled:0, movedIn:0, movedOut:0, net:0}
+    };
+  });
+
+  // 층별로 진행 중인 예약 기간이 다르므로 층마다 기간 시작 이후의 변동만 집계
+  const windowFloors = floors.filter(f => f.window);
+  if(windowFloors.length > 0){
+    const earliest = new Date(Math.min(...windowFloors.map(f => f.window.start.getTime())));
+    const changes = await AuditLog.aggregate([
+      {$match:{action:{$in:[...STATS_CREATED_ACTIONS, ...STATS_CANCELLED_ACTIONS, ...STATS_MOVE_ACTIONS]}, createdAt:{$gte:earliest}}},
+      ...STATS_EVENT_STAGES,
+      {$match:{$or:windowFloors.map(f => ({dormitory:f.dormitory, floor:f.floor, createdAt:{$gte:f.window.start}}))}},
+      {$group:{_id:{dormitory:'$dormitory', floor:'$floor', kind:'$kind'}, count:{$sum:1}}}
+    ]);
+    const floorMap = new Map(floors.map(f => [keyOf(f), f]));
+    for(const c of changes){
+      const f = floorMap.get(keyOf(c._id));
+      if(f) f.changes[c._id.kind] = c.count;
+    }
+    for(const f of floors) f.changes.net = f.changes.created + f.changes.movedIn - f.changes.cancelled - f.changes.movedOut;
+  }
+
+  // 기숙사별, 전체 합계 (층별 집계 결과를 합산 / 잔여 좌석은 층별 잔여 좌석의 합이라 배치 없는 층의 예약이 다른 층 잔여석을 줄이지 않음)
+  const dormitoryMap = new Map();
+  const totals = {totalSeats:0, reserved:0, available:0};
+  for(const f of floors){
+    const d = dormitoryMap.get(f.dormitory) || {dormitory:f.dormitory, totalSeats:0, reserved:0, available:0};
+    d.totalSeats += f.totalSeats;
+    d.reserved += f.reserved;
+    d.available += f.available;
+    dormitoryMap.set(f.dormitory, d);
+    totals.totalSeats += f.totalSeats;
+    totals.reserved += f.reserved;
+    totals.available += f.available;
+  }
+  const dormitories = [...dormitoryMap.values()].map(d => ({...d, percentage:percentage(d.reserved, d.totalSeats)}));
+  totals.percentage = percentage(totals.reserved, totals.totalSeats);
+
+  // 시계열 구간: 지정하지 않으면 진행 중인 예약 기간 중 가장 먼저 시작한 기간부터 (없으면 최근 1시간)
+  const bucketMs = bucketMinutes * 60000;
+  const seriesTo = to || now;
+  const seriesFrom = from || (windowFloors.length > 0
+    ? new Date(Math.min(...windowFloors.map(f => f.window.start.getTime())))
+    : new Date(seriesTo.getTime() - 60*60000));
+  const start = Math.floor(seriesFrom.getTime() / bucketMs) * bucketMs;
+  const bucketCount = Math.max(1, Math.ceil((seriesTo.getTime() - start) / bucketMs));
+  if(bucketCount > STATS_MAX_BUCKETS) return {error:`시계열 구간이 너무 많습니다. (최대 ${STATS_MAX_BUCKETS}개) 기간을 줄이거나 bucketMinutes를 늘려주세요.`};
+
+  const eventScope = {};
+  if(scope.dormitory) eventScope.dormitory = scope.dormitory;
+  if(scope.floor) eventScope.floor = scope.floor;
+  const buckets = await AuditLog.aggregate([
+    {$match:{action:{$in:[...STATS_CREATED_ACTIONS, ...STATS_CANCELLED_ACTIONS]}, createdAt:{$gte:new Date(start), $lt:seriesTo}}},
+    ...STATS_EVENT_STAGES,
+    {$match:eventScope},
+    {$group:{
+      _id:{$subtract:[{$toLong:'$createdAt'}, {$mod:[{$subtract:[{$toLong:'$createdAt'}, start]}, bucketMs]}]},
+      created:{$sum:{$cond:[{$eq:['$kind', 'created']}, 1, 0]}},
+      cancelled:{$sum:{$cond:[{$eq:['$kind', 'cancelled']}, 1, 0]}}
+    }}
+  ]);
+  const bucketMap = new Map(buckets.map(b => [Number(b._id), b]));
+  const points = [];
+  for(let i = 0; i < bucketCount; i++){
+    const time = start + i*bucketMs;
+    const b = bucketMap.get(time);
+    points.push({time:new Date(time), created:b ? b.created : 0, cancelled:b ? b.cancelled : 0});
+  }
+
+  // 층별 변동/시계열에 반영되지 않은 대량 작업 (학기 보관은 예약을 초기화한 경우만)
+  const bulkFrom = Math.min(start, ...windowFloors.map(f => f.window.start.getTime()));
+  const bulkOperations = await AuditLog.aggregate([
+    {$match:{
+      action:{$in:STATS_BULK_ACTIONS}, createdAt:{$gte:new Date(bulkFrom), $lt:seriesTo},
+      $or:[{action:{$ne:'term.archive'}}, {'after.reset':true}]
+    }},
+    {$sort:{createdAt:-1}},
+    {$limit:50},
+    {$project:{_id:0, action:1, actorName:1, createdAt:1, count:{$ifNull:['$after.count', '$before.count']}}}
+  ]);
+
+  return {
+    generatedAt:now, totals, dormitories, floors,
+    series:{from:new Date(start), to:seriesTo, bucketMinutes, points},
+    bulkOperations
+  };
+}
+
+// 접속 중인 관리자에게 점유율 통계 전송 (주기적으로 실행)
+async function pushOccupancyStats(){
+  if(mongoose.connection.readyState !== 1 || adminIo.sockets.size === 0) return; // DB 연결 전이거나 접속한 관리자가 없으면 건너뜀
+  try{
+    adminIo.emit('occupancyUpdated', await getOccupancyStats());
+  }catch(e){
+    console.error('점유율 통계 전송 실패:', e);
+  }
+}
+
+// 접속 중인 관리자에게 실시간 현황 전송 (주기적으로 실행)
+async function pushAdminStats(){
+  if(mongoose.connection.readyState !== 1 || adminIo.sockets.size === 0) return; // DB 연결 전이거나 접속한 관리자가 없으면 건너뜀
+  try{
+    adminIo.emit('statsUpdated', await getAdminLiveStats());
+  }catch(e){
+    console.error('관리자 실시간 현황 전송 실패:', e);
+  }
+}
+
+// 감사 로그 조회 조건 생성 (actorType, actorName, action, reservation, from, to)
+// action은 접두어 검색 지원 (예: 'reservation.' -> 모든 예약 작업)
+function buildAuditFilter(query){
+  const filter = {};
+  if(query.actorType) filter.actorType = String(query.actorType);
+  if(query.actorName) filter.actorName = {$regex:escapeRegex(String(query.actorName)), $options:'i'};
+  if(query.action){
+    const action = String(query.action);
+    filter.action = action.endsWith('.') ? {$regex:'^' + escapeRegex(action)} : action;
+  }
+  if(query.reservation && mongoose.isValidObjectId(query.reservation)) filter.reservation = query.reservation;
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if((from && isNaN(from)) || (to && isNaN(to))) return {error:'날짜 형식이 올바르지 않습니다.'};
+  if(from || to){
+    filter.createdAt = {};
+    if(from) filter.createdAt.$gte = from;
+    if(to) filter.createdAt.$lte = to;
+  }
+  return {filter};
+}
+
+// CSV 값 이스케이프 (쉼표, 따옴표, 줄바꿈 포함 시 따옴표로 감싸기 / 수식 주입 방지)
+function csvEscape(value){
+  if(value === null || value === undefined) return '';
+  let str;
+  if(value instanceof Date) str = value.toISOString();
+  else if(typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId)) str = JSON.stringify(value);
+  else str = String(value);
+  if(/^[=+\-@]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// CSV 문자열 생성 (columns: [{key, label}], 엑셀 한글 깨짐 방지를 위해 BOM 추가)
+function toCsv(rows, columns){
+  const lines = [columns.map(c => csvEscape(c.label)).join(',')];
+  for(const row of rows) lines.push(columns.map(c => csvEscape(row[c.key])).join(','));
+  return '\uFEFF' + lines.join('\r\n');
+}
+
+// CSV 문자열 파싱 (따옴표로 감싼 값, 이스케이프된 따옴표, 줄바꿈 지원 / 빈 줄 제외)
+function parseCsv(text){
+  const src = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [], field = '', inQuotes = false;
+  for(let i=0; i<src.length; i++){
+    const c = src[i];
+    if(inQuotes){
+      if(c === '"'){
+        if(src[i+1] === '"'){ field += '"'; i++; }
+        else inQuotes = false;
+      } else field += c;
+    } else if(c === '"') inQuotes = true;
+    else if(c === ','){ row.push(field); field = ''; }
+    else if(c === '\n' || c === '\r'){
+      if(c === '\r' && src[i+1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    } else field += c;
+  }
+  if(field !== '' || row.length > 0){ row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+// CSV를 객체 배열로 변환 (첫 줄은 헤더, aliases: {key:[허용 헤더 이름]} / 각 객체에 CSV 줄 번호 line 포함)
+function csvToObjects(text, aliases){
+  const rows = parseCsv(text);
+  if(rows.length === 0) return {error:'CSV 내용이 비어 있습니다.'};
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  const columns = {};
+  for(const [key, names] of Object.entries(aliases)){
+    const idx = header.findIndex(h => names.includes(h));
+    if(idx >= 0) columns[key] = idx;
+  }
+  return {rows:rows.slice(1).map((r, i) => {
+    const obj = {line:i + 2};
+    for(const [key, idx] of Object.entries(columns)) obj[key] = (r[idx] || '').trim();
+    return obj;
+  })};
+}
+
+// 명단 CSV 헤더 이름 (영문/한글 모두 허용)
+const ROSTER_CSV_ALIASES = {
+  roomNo:['roomno','room','호실','방번호'],
+  name:['name','이름','성명'],
+  dormitory:['dormitory','dorm','기숙사'],
+  grade:['grade','cohort','학년','기수']
+};
+
+// 명단 입력값 검증 및 정리 ({csv: 'CSV 문자열'} 또는 {entries: [{roomNo, name, dormitory, grade}]})
+// 오류가 있으면 {errors:[{line, message}]}, 정상이면 {entries}
+function normalizeRosterInput(body){
+  let rows;
+  if(typeof body.csv === 'string'){
+    const parsed = csvToObjects(body.csv, ROSTER_CSV_ALIASES);
+    if(parsed.error) return {errors:[{line:0, message:parsed.error}]};
+    rows = parsed.rows;
+  } else if(Array.isArray(body.entries)){
+    rows = body.entries.map((e, i) => ({...e, line:i + 1}));
+  } else {
+    return {errors:[{line:0, message:'csv 문자열 또는 entries 배열이 필요합니다.'}]};
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const entries = [];
+  for(const r of rows){
+    const entry = {
+      roomNo:String(r.roomNo || '').trim(), name:String(r.name || '').trim(),
+      dormitory:String(r.dormitory || '').trim(), grade:String(r.grade || '').trim()
+    };
+    if(!entry.roomNo || !entry.name || !entry.dormitory){
+      errors.push({line:r.line, message:'호실, 이름, 기숙사는 필수입니다.'});
+      continue;
+    }
+    const key = `${entry.roomNo}\u0000${entry.name}`;
+    if(seen.has(key)){
+      errors.push({line:r.line, message:`중복된 학생입니다: ${entry.name} (${entry.roomNo})`});
+      continue;
+    }
+    seen.add(key);
+    entries.push(entry);
+  }
+  return errors.length > 0 ? {errors} : {entries};
+}
+
+// 현재 명단과 새 명단 비교 (호실+이름 기준 추가/삭제/변경 목록)
+async function diffRoster(entries){
+  const current = await RosterEntry.find({}).select('-_id roomNo name dormitory grade').lean();
+  const keyOf = e => `${e.roomNo}\u0000${e.name}`;
+  const currentMap = new Map(current.map(e => [keyOf(e), e]));
+  const nextKeys = new Set();
+  const added = [], changed = [];
+  for(const e of entries){
+    const key = keyOf(e);
+    nextKeys.add(key);
+    const prev = currentMap.get(key);
+    if(!prev) added.push(e);
+    else if(prev.dormitory !== e.dormitory || (prev.grade || '') !== e.grade) changed.push({before:prev, after:e});
+  }
+  const removed = current.filter(e => !nextKeys.has(keyOf(e)));
+  return {added, removed, changed, unchanged:entries.length - added.length - changed.length};
+}
+
+// 예약 자격 확인: 명단이 등록되어 있으면 명단에 있고 자기 기숙사 좌석인지 확인 (문제 없으면 null, 있으면 오류 메시지)
+// 명단이 비어 있으면(등록 전) 제한하지 않음
+async function checkRosterEligibility(roomNo, name, dormitory){
+  if(!await RosterEntry.exists({})) return null;
+  const entry = await RosterEntry.findOne({roomNo:String(roomNo).trim(), name:String(name).trim()}).lean();
+  if(!entry) return '입사생 명단에 없는 학생입니다. 호실과 이름을 확인해주세요.';
+  if(entry.dormitory !== String(dormitory)) return `본인 기숙사(${entry.dormitory}) 좌석만 예약할 수 있습니다.`;
+  return null;
+}
+
+// 현재 예약과 예약 기간 설정을 스냅샷으로 저장
+async function createSnapshot({name, reason='manual', term=null, createdBy=''}){
+  const [reservations, windows] = await Promise.all([
+    Reservation.find({}).lean(),
+    ReservationWindow.find({}).lean()
+  ]);
+  return ReservationSnapshot.create({
+    name, reason, term, createdBy, count:reservations.length,
+    reservations:reservations.map(r => ({
+      originalId:r._id, roomNo:r.roomNo, name:r.name, dormitory:r.dormitory, floor:r.floor, seat:r.seat,
+      password:r.password, createdAt:r.createdAt
+    })),
+    settings:{windows}
+  });
+}
+
+// 스냅샷과 현재 예약 비교 (호실+이름 기준: 스냅샷에만 있음 / 현재에만 있음 / 좌석이 다름)
+async function diffSnapshot(snapshot){
+  const live = await Reservation.find({}).select(ADMIN_RESERVATION_FIELDS).lean();
+  const keyOf = r => `${r.roomNo}\u0000${r.name}`;
+  const seatOf = r => ({dormitory:r.dormitory, floor:r.floor, seat:r.seat});
+  const liveMap = new Map(live.map(r => [keyOf(r), r]));
+  const snapshotKeys = new Set();
+  const onlyInSnapshot = [], moved = [];
+  for(const r of snapshot.reservations){
+    const key = keyOf(r);
+    snapshotKeys.add(key);
+    const current = liveMap.get(key);
+    if(!current) onlyInSnapshot.push({roomNo:r.roomNo, name:r.name, ...seatOf(r)});
+    else if(current.dormitory !== r.dormitory || current.floor !== r.floor || current.seat !== r.seat)
+      moved.push({roomNo:r.roomNo, name:r.name, snapshot:seatOf(r), live:seatOf(current)});
+  }
+  const onlyInLive = live.filter(r => !snapshotKeys.has(keyOf(r))).map(r => ({roomNo:r.roomNo, name:r.name, ...seatOf(r)}));
+  return {onlyInSnapshot, onlyInLive, moved, unchanged:snapshot.reservations.length - onlyInSnapshot.length - moved.length};
+}
+
+// 예약 가져오기 CSV 헤더 이름 (영문/한글 모두 허용)
+const RESERVATION_CSV_ALIASES = {
+  roomNo:['roomno','room','호실','방번호'],
+  name:['name','이름','성명'],
+  dormitory:['dormitory','dorm','기숙사'],
+  floor:['floor','층'],
+  seat:['seat','좌석','좌석번호'],
+  password:['password','비밀번호']
+};
+
+// 예약 가져오기 행 검증 (일반 예약과 같은 규칙: 필수값, 약한 비밀번호, 좌석 배치도, 입사생 명단, 중복)
+// replace가 true이면 기존 예약은 모두 교체되므로 기존 예약과의 중복은 검사하지 않음
+// 결과: {rows:[{line, roomNo, ...}], errors:[{line, messages}]}
+async function validateImportRows(rows, {replace=false}={}){
+  const errors = [];
+  const valid = [];
+  const seenPeople = new Set(), seenSeats = new Set();
+  for(const r of rows){
+    const row = {
+      line:r.line, roomNo:String(r.roomNo || '').trim(), name:String(r.name || '').trim(),
+      dormitory:String(r.dormitory || '').trim(), floor:String(r.floor || '').trim(),
+      seat:Number(r.seat), password:String(r.password || '')
+    };
+    const messages = [];
+    if(!row.roomNo || !row.name || !row.dormitory || !row.floor || r.seat === undefined || r.seat === '' || !row.password){
+      errors.push({line:row.line, messages:['모든 정보가 필요합니다.']});
+      continue;
+    }
+    if(isWeakPassword(row.password)) messages.push('매우 단순한 비밀번호는 사용할 수 없습니다.');
+    const seatError = await validateSeatSelection(row.dormitory, row.floor, row.seat);
+    if(seatError) messages.push(seatError);
+    const rosterError = await checkRosterEligibility(row.roomNo, row.name, row.dormitory);
+    if(rosterError) messages.push(rosterError);
+
+    const personKey = `${row.roomNo}\u0000${row.name}`;
+    const seatKey = `${row.dormitory}\u0000${row.floor}\u0000${row.seat}`;
+    if(seenPeople.has(personKey)) messages.push('파일 안에 같은 호실+이름이 중복되어 있습니다.');
+    if(seenSeats.has(seatKey)) messages.push('파일 안에 같은 좌석이 중복되어 있습니다.');
+    seenPeople.add(personKey);
+    seenSeats.add(seatKey);
+    if(!replace){
+      if(await Reservation.exists({roomNo:row.roomNo, name:row.name})) messages.push('이미 예약한 학생입니다.');
+      if(await Reservation.exists({dormitory:row.dormitory, floor:row.floor, seat:row.seat})) messages.push('이미 예약된 좌석입니다.');
+    }
+    if(messages.length > 0) errors.push({line:row.line, messages});
+    else valid.push(row);
+  }
+  return {rows:valid, errors};
+}
+
+// 공지 내용 필드 (수정 이력에 저장되는 필드)
+const NOTICE_CONTENT_FIELDS = ['title','message','severity','priority','audience','dormitory','floor','startTime','endTime','active'];
+
+// 공개용 공지 변환 (수정 이력, 작성자 제외)
+function toPublicNotice(n){
+  const {_id, title, message, severity, priority, audience, dormitory, floor, startTime, endTime, version, updatedAt} = n;
+  return {_id, title, message, severity, priority, audience, dormitory, floor, startTime, endTime, version, updatedAt};
+}
+
+// 기존 일반 공지사항 형식으로 변환 (/api/announcement, announcementUpdated 호환)
+function toLegacyAnnouncement(n){
+  return {key:LEGACY_NOTICE_KEY, message:n ? n.message : '', active:n ? n.active : false, updatedAt:n ? n.updatedAt : null};
+}
+
+// 공지 입력값 검증 및 정리 (오류 시 {error}, 정상 시 {data}) / 수정 시에는 existing과 병합한 결과로 검증
+function normalizeNoticeInput(body, existing={}){
+  const merged = {...existing, ...body};
+  const data = {
+    title:String(merged.title || ''),
+    message:String(merged.message || ''),
+    severity:merged.severity || 'info',
+    priority:Number(merged.priority || 0),
+    audience:merged.audience || 'all',
+    active:merged.active === undefined ? true : !!merged.active
+  };
+  if(!data.message) return {error:'공지 내용을 입력해주세요.'};
+  if(!NOTICE_SEVERITIES.includes(data.severity)) return {error:'올바르지 않은 중요도입니다.'};
+  if(!Number.isFinite(data.priority)) return {error:'우선순위는 숫자여야 합니다.'};
+  if(!NOTICE_AUDIENCES.includes(data.audience)) return {error:'올바르지 않은 공지 대상입니다.'};
+  data.dormitory = data.audience === 'all' ? null : (merged.dormitory ? String(merged.dormitory) : null);
+  data.floor = data.audience === 'floor' ? (merged.floor ? String(merged.floor) : null) : null;
+  if(data.audience !== 'all' && !data.dormitory) return {error:'공지 대상 기숙사를 입력해주세요.'};
+  if(data.audience === 'floor' && !data.floor) return {error:'공지 대상 층을 입력해주세요.'};
+  data.startTime = merged.startTime ? new Date(merged.startTime) : null;
+  data.endTime = merged.endTime ? new Date(merged.endTime) : null;
+  if((data.startTime && isNaN(data.startTime)) || (data.endTime && isNaN(data.endTime)))
+    return {error:'게시 기간을 올바르게 입력해주세요.'};
+  if(data.startTime && data.endTime && data.endTime <= data.startTime) return {error:'종료 시간은 시작 시간 이후여야 합니다.'};
+  return {data};
+}
+
+// 공지 수정 (이전 내용을 이력에 저장하고 버전 증가)
+function applyNoticeEdit(notice, data, editedBy){
+  const previous = {version:notice.version, editedBy:notice.updatedBy, editedAt:notice.updatedAt};
+  for(const field of NOTICE_CONTENT_FIELDS) previous[field] = notice[field];
+  notice.history.push(previous);
+  notice.set({...data, version:notice.version + 1, updatedBy:editedBy, updatedAt:new Date()});
+}
+
+// 게시 중인 공지 조건 (활성 + 게시 기간 내)
+function liveNoticeFilter(now=new Date()){
+  return {
+    active:true,
+    message:{$ne:''}, // 내용이 비어 있는 공지는 게시하지 않음
+    $and:[
+      {$or:[{startTime:null}, {startTime:{$lte:now}}]},
+      {$or:[{endTime:null}, {endTime:{$gt:now}}]}
+    ]
+  };
+}
+
+// 구독 범위({dormitory, floor})에 해당하는 게시 중인 공지 목록 (전체 대상 + 해당 기숙사/층 대상 / 우선순위 순)
+async function getLiveNotices(subscription={}){
+  const audience = [{audience:'all'}];
+  if(subscription.dormitory) audience.push({audience:'dormitory', dormitory:subscription.dormitory});
+  if(subscription.dormitory && subscription.floor)
+    audience.push({audience:'floor', dormitory:subscription.dormitory, floor:subscription.floor});
+  const filter = liveNoticeFilter();
+  filter.$and.push({$or:audience});
+  const notices = await Notice.find(filter).sort({priority:-1, updatedAt:-1}).lean();
+  return notices.map(toPublicNotice);
+}
+
+// 공지 대상 Socket.IO 방 (전체 대상이면 null: 모든 클라이언트)
+function noticeRoom(n){
+  if(n.audience === 'dormitory') return `notice:dorm:${n.dormitory}`;
+  if(n.audience === 'floor') return `notice:floor:${n.dormitory}:${n.floor}`;
+  return null;
+}
+
+// 공지 대상 클라이언트에게 이벤트 전송
+function emitToNoticeAudience(n, event, payload){
+  const room = noticeRoom(n);
+  (room ? io.to(room) : io).emit(event, payload);
+}
+
+// 게시 상태 동기화: 게시 시작/수정된 공지는 'announcementPublished', 종료/숨김/삭제된 공지는 'announcementExpired' 전송
+// 서버마다 자신에게 연결된 클라이언트에 전송하므로 게시 상태는 서버 메모리에 보관
+const liveNoticeState = new Map(); // 공지 ID -> 마지막으로 전송한 공개용 공지
+let liveNoticeStateReady = false;
+async function syncNotices(){
+  const live = await Notice.find(liveNoticeFilter()).lean();
+  const liveIds = new Set();
+  for(const n of live){
+    const id = n._id.toString();
+    liveIds.add(id);
+    const prev = liveNoticeState.get(id);
+    const current = toPublicNotice(n);
+    if(prev && prev.version === current.version) continue;
+    liveNoticeState.set(id, current);
+    if(!liveNoticeStateReady) continue; // 서버 시작 시에는 상태만 기록 (초기 데이터로 이미 전송됨)
+    if(prev && noticeRoom(prev) !== noticeRoom(current)) emitToNoticeAudience(prev, 'announcementExpired', {_id:prev._id});
+    emitToNoticeAudience(current, 'announcementPublished', current);
+  }
+  for(const [id, prev] of liveNoticeState){
+    if(liveIds.has(id)) continue;
+    liveNoticeState.delete(id);
+    emitToNoticeAudience(prev, 'announcementExpired', {_id:prev._id});
+  }
+  liveNoticeStateReady = true;
+}
+
+// 공지 게시 시작/종료 시간 확인 (주기적으로 실행)
+async function tickNotices(){
+  if(mongoose.connection.readyState !== 1) return; // DB 연결 전에는 건너뜀
+  try{
+    await syncNotices();
+  }catch(e){
+    console.error('공지 게시 상태 동기화 실패:', e);
+  }
+}
+
+// 마이그레이션: 기존 단일 일반 공지사항(Announcement)을 공지(Notice)로 이전
+async function migrateLegacyAnnouncement(){
+  try{
+    if(await Notice.exists({key:LEGACY_NOTICE_KEY})) return;
+    const legacy = await Announcement.findOne({key:LEGACY_NOTICE_KEY});
+    if(!legacy) return;
+    await Notice.create({
+      key:LEGACY_NOTICE_KEY, title:'공지사항', message:legacy.message || '', active:!!legacy.active,
+      createdBy:'migration', updatedBy:'migration', updatedAt:legacy.updatedAt || new Date()
+    });
+    console.log('마이그레이션: 기존 일반 공지사항을 공지로 이전 완료');
+  }catch(e){
+    console.error('공지사항 마이그레이션 실패:', e);
+  }
+}
+
+// 좌석 교환 요청 상태별 소켓 이벤트
+const SWAP_EVENTS = {pending:'swapRequested', accepted:'swapAccepted', declined:'swapDeclined', cancelled:'swapCancelled', expired:'swapExpired'};
+
+// 예약 알림 Socket.IO 방 (소켓 'watchReservation'으로 예약자 본인 확인 후 참여)
+function reservationRoom(reservationId){
+  return `reservation:${reservationId}`;
+}
+
+// 예약의 현재 좌석이 교환 요청 당시 좌석과 같은지 확인
+function isSameSeat(r, seat){
+  return !!r && r.dormitory === seat.dormitory && r.floor === seat.floor && r.seat === seat.seat;
+}
+
+// 교환 요청 응답용 변환 (상대 이름은 마스킹)
+function toSwapView(swap, names={}){
+  const {_id, requester, target, requesterSeat, targetSeat, status, statusReason, expiresAt, respondedAt, createdAt} = swap;
+  return {
+    _id, requester, target, requesterSeat, targetSeat, status, statusReason, expiresAt, respondedAt, createdAt,
+    requesterName:names.requester ? maskName(names.requester) : undefined,
+    targetName:names.target ? maskName(names.target) : undefined
+  };
+}
+
+// 교환 요청 양쪽 예약자와 관리자에게 상태 알림
+function notifySwap(swap, names){
+  const view = toSwapView(swap, names);
+  io.to([reservationRoom(swap.requester), reservationRoom(swap.target)]).emit(SWAP_EVENTS[swap.status], view);
+  adminIo.emit('swapActivity', view);
+}
+
+// 대기 중인 교환 요청 종료 (거절/취소/만료) / 이미 처리된 요청이면 null
+async function closeSwapRequest(id, status, statusReason){
+  const swap = await SeatSwapRequest.findOneAndUpdate(
+    {_id:id, status:'pending'},
+    {status, statusReason, respondedAt:new Date()},
+    {new:true}
+  );
+  if(swap) notifySwap(swap);
+  return swap;
+}
+
+// 교환 대상 좌석 검증: 상대 좌석으로 옮겨도 되는지 (좌석 배치, 예약 기간, 입사생 명단) / 문제없으면 null
+async function checkSwapSeat(r, seat){
+  return await validateSeatSelection(seat.dormitory, seat.floor, seat.seat)
+    || await checkReservationWindow(seat.dormitory, seat.floor, 'change')
+    || await checkRosterEligibility(r.roomNo, r.name, seat.dormitory);
+}
+
+// 두 예약의 좌석을 트랜잭션으로 맞바꿈 / 요청 이후 어느 한쪽이라도 좌석이 바뀌었거나 요청이 더 이상 대기 중이 아니면 교환하지 않고 null
+// {dormitory, floor, seat} 유일 인덱스 때문에 요청자 예약을 임시 좌석(-1)으로 옮긴 뒤 교환
+// (트랜잭션 안에서만 보이는 값이므로 다른 요청과 겹치지 않음, 동시에 같은 층을 교환하면 트랜잭션이 재시도됨)
+async function exchangeSeats(swap){
+  const session = await mongoose.startSession();
+  try{
+    let result = null;
+    await session.withTransaction(async () => {
+      result = null;
+      const a = await Reservation.findById(swap.requester).session(session);
+      const b = await Reservation.findById(swap.target).session(session);
+      if(!isSameSeat(a, swap.requesterSeat) || !isSameSeat(b, swap.targetSeat)) return;
+      // 조회 이후 요청이 철회/만료/거절되었으면 교환하지 않음 (상태 변경을 좌석 변경보다 먼저 해서 확인)
+      const accepted = await SeatSwapRequest.updateOne({_id:swap._id, status:'pending'}, {status:'accepted', statusReason:'', respondedAt:new Date()}, {session});
+      if(accepted.modifiedCount !== 1) return;
+      const before = {requester:a.toObject(), target:b.toObject()};
+      // 요청 당시 좌석은 하위 문서이므로 좌석 필드만 꺼내서 사용
+      const requesterSeat = {dormitory:swap.requesterSeat.dormitory, floor:swap.requesterSeat.floor, seat:swap.requesterSeat.seat};
+      const targetSeat = {dormitory:swap.targetSeat.dormitory, floor:swap.targetSeat.floor, seat:swap.targetSeat.seat};
+      await Reservation.updateOne({_id:a._id}, {seat:-1}, {session});
+      await Reservation.updateOne({_id:b._id}, requesterSeat, {session});
+      await Reservation.updateOne({_id:a._id}, targetSeat, {session});
+      result = {before, after:{requester:{...before.requester, ...targetSeat}, target:{...before.target, ...requesterSeat}}};
+    });
+    return result;
+  }finally{
+    await session.endSession();
+  }
+}
+
+// 교환 완료/좌석 변경으로 더 이상 유효하지 않은 대기 중인 교환 요청 취소
+async function cancelStaleSwapRequests(reservationIds, statusReason){
+  const stale = await SeatSwapRequest.find({status:'pending', $or:[{requester:{$in:reservationIds}}, {target:{$in:reservationIds}}]}).select('_id').lean();
+  for(const s of stale) await closeSwapRequest(s._id, 'cancelled', statusReason);
+}
+
+// 만료된 교환 요청 정리 (주기적으로 실행)
+async function expireSwapRequests(){
+  if(mongoose.connection.readyState !== 1) return; // DB 연결 전에는 건너뜀
+  try{
+    const expired = await SeatSwapRequest.find({status:'pending', expiresAt:{$lte:new Date()}}).select('_id').lean();
+    for(const s of expired){
+      const swap = await closeSwapRequest(s._id, 'expired', '응답 시간이 지나 만료됨');
+      if(swap) await writeAuditLog(null, {actorType:'system', action:'swap.expire', target:String(swap._id)});
+    }
+  }catch(e){
+    console.error('만료된 교환 요청 정리 실패:', e);
+  }
+}
+
+// 출석 정책 조회 (저장된 정책이 없으면 기본값)
+async function getAttendancePolicy(){
+  const policy = await AttendancePolicy.findOne({key:ATTENDANCE_POLICY_KEY}).lean();
+  return policy || new AttendancePolicy().toObject();
+}
+
+// 가장 최근에 끝난 자습 회차 계산 (아직 끝난 회차가 없으면 null)
+function getLastEndedOccurrence(s, now=new Date()){
+  const t = now.getTime();
+  const start = new Date(s.startTime).getTime();
+  const end = new Date(s.endTime).getTime();
+  if(t < end) return null;
+  const period = RECURRENCE_PERIOD_MS[s.recurrence];
+  if(!period) return {start:new Date(start), end:new Date(end)};
+  let k = Math.floor((t - end) / period);
+  if(s.recurrenceUntil && start + k*period > new Date(s.recurrenceUntil).getTime())
+    k = Math.floor((new Date(s.recurrenceUntil).getTime() - start) / period);
+  if(k < 0) return null;
+  return {start:new Date(start + k*period), end:new Date(end + k*period)};
+}
+
+// 예약 좌석에 적용되는 체크인 가능한 자습 회차 조회 (회차 시작 CHECKIN_OPEN_MS 전부터 종료 전까지)
+async function findCheckInSession(r, now=new Date()){
+  const sessions = await StudySession.find({}).sort({startTime:1}).lean();
+  for(const s of sessions){
+    if(!windowMatchesSeat(s, r.dormitory, r.floor)) continue;
+    const occurrence = getWindowOccurrence(s, now);
+    if(occurrence && occurrence.start.getTime() - CHECKIN_OPEN_MS <= now.getTime()) return {session:s, occurrence};
+  }
+  return null;
+}
+
+// 체크인 기록 (이미 체크인한 회차면 null)
+async function recordCheckIn(r, {session, occurrence}, {method, recordedBy=''}){
+  const now = new Date();
+  const result = await AttendanceRecord.updateOne(
+    {reservation:r._id, studySession:session._id, sessionStart:occurrence.start},
+    {$setOnInsert:{
+      roomNo:r.roomNo, name:r.name, dormitory:r.dormitory, floor:r.floor, seat:r.seat, sessionEnd:occurrence.end,
+      status:'present', method, recordedBy, checkedInAt:now, createdAt:now, updatedAt:now
+    }},
+    {upsert:true}
+  );
+  if(result.upsertedCount === 0) return null;
+  return {reservation:r._id, studySession:session._id, sessionName:session.name, sessionStart:occurrence.start, sessionEnd:occurrence.end, checkedInAt:now};
+}
+
+// 예약의 결석 횟수 계산 (연속 기준이면 최근 기록부터 연속된 결석만, 인정 결석은 제외)
+async function countMissedSessions(reservationId, policy){
+  if(!policy.consecutive) return await AttendanceRecord.countDocuments({reservation:reservationId, status:'absent'});
+  const recent = await AttendanceRecord.find({reservation:reservationId, status:{$in:['present','absent']}})
+    .sort({sessionStart:-1}).limit(policy.maxMissed).select('status').lean();
+  let missed = 0;
+  for(const rec of recent){
+    if(rec.status !== 'absent') break;
+    missed++;
+  }
+  return missed;
+}
+
+// 결석 누적으로 좌석 자동 해제 (예약자, 관리자에게 알림 후 대기자 배정)
+async function releaseNoShowReservation(r, missed, policy){
+  const reservation = await Reservation.findByIdAndDelete(r._id);
+  if(!reservation) return; // 그 사이 취소된 예약
+  console.warn(`[결석 자동 해제] ${reservation.name} (${reservation.roomNo}), 좌석: ${reservation.dormitory} ${reservation.floor}-${reservation.seat}, 결석: ${missed}회`);
+  await writeAuditLog(null, {
+    actorType:'system', action:'attendance.release', reservation, before:auditReservation(reservation),
+    after:{missed, maxMissed:policy.maxMissed, consecutive:policy.consecutive}
+  });
+  const reason = `${policy.consecutive ? '연속 ' : ''}결석 ${missed}회로 좌석이 자동 해제되었습니다.`;
+  io.to(reservationRoom(reservation._id)).emit('reservationReleased', {reservationId:reservation._id, reason, missed}); // 예약자에게 알림
+  adminIo.emit('attendanceRelease', {reservationId:reservation._id, ...auditReservation(reservation), missed});
+  await emitSeatReleased(reservation); // 실시간 업데이트 알림
+  await promoteFreedSeat(reservation.dormitory, reservation.floor, reservation.seat); // 대기자 자동 배정
+  await cancelStaleSwapRequests([reservation._id], '예약이 해제됨');
+}
+
+// 끝난 자습 회차의 결석 처리: 체크인하지 않은 예약에 결석 기록, 정책 사용 시 기준 초과 좌석 해제
+// 여러 서버가 동시에 실행해도 lastProcessedEnd를 먼저 갱신한 서버만 처리
+// 서버가 꺼져 있던 동안 지나간 회차는 결석 처리하지 않고 가장 최근 회차만 처리
+async function processStudySession(s, policy, now=new Date()){
+  const occurrence = getLastEndedOccurrence(s, now);
+  const since = s.lastProcessedEnd || s.createdAt;
+  if(!occurrence || occurrence.end <= since) return;
+  const claimed = await StudySession.findOneAndUpdate({_id:s._id, lastProcessedEnd:s.lastProcessedEnd}, {lastProcessedEnd:occurrence.end});
+  if(!claimed || occurrence.start < since) return; // 일정 생성/수정 전에 시작한 회차는 처리하지 않음
+
+  const filter = {createdAt:{$lte:occurrence.start}}; // 회차 시작 후 예약한 사람은 제외
+  if(s.scope !== 'all') filter.dormitory = s.dormitory;
+  if(s.scope === 'floor') filter.floor = s.floor;
+  const reservations = await Reservation.find(filter).select('roomNo name dormitory floor seat').lean();
+  const recorded = new Set((await AttendanceRecord.find({studySession:s._id, sessionStart:occurrence.start}).distinct('reservation')).map(String));
+  const missing = reservations.filter(r => !recorded.has(String(r._id)));
+  if(missing.length > 0){
+    try{
+      await AttendanceRecord.insertMany(missing.map(r => ({
+        reservation:r._id, roomNo:r.roomNo, name:r.name, dormitory:r.dormitory, floor:r.floor, seat:r.seat,
+        studySession:s._id, sessionStart:occurrence.start, sessionEnd:occurrence.end, status:'absent', method:'system'
+      })), {ordered:false});
+    }catch(e){
+      if(e.code !== 11000) throw e; // 처리 중 체크인한 예약은 건너뜀
+    }
+  }
+  console.log(`자습 회차 결석 처리: ${s.name || s._id} (${occurrence.start.toISOString()}), 대상 ${reservations.length}명, 결석 ${missing.length}명`);
+  if(!policy.enabled) return;
+
+  for(const r of missing){
+    const missed = await countMissedSessions(r._id, policy);
+    if(missed >= policy.maxMissed) await releaseNoShowReservation(r, missed, policy);
+    else if(missed === policy.maxMissed - 1) // 한 번 더 결석하면 해제되는 예약자에게 경고
+      io.to(reservationRoom(r._id)).emit('attendanceWarning', {reservationId:r._id, missed, maxMissed:policy.maxMissed});
+  }
+}
+
+// 자습 회차 종료 확인 및 결석 처리 (주기적으로 실행)
+async function tickAttendance(){
+  if(mongoose.connection.readyState !== 1) return; // DB 연결 전에는 건너뜀
+  try{
+    const policy = await getAttendancePolicy();
+    const sessions = await StudySession.find({}).lean();
+    for(const s of sessions) await processStudySession(s, policy);
+  }catch(e){
+    console.error('자습 회차 결석 처리 실패:', e);
+  }
+}
+
+// 인증 실패 기록 조회 조건 (대상+IP, 대상, IP 중 값이 있는 것만)
+function authFailureKeys(scope, {target, ip}){
+  const keys = [];
+  if(target && ip) keys.push({scope, kind:'pair', key:`${target}|${ip}`});
+  if(target) keys.push({scope, kind:'target', key:String(target)});
+  if(ip) keys.push({scope, kind:'ip', key:String(ip)});
+  return keys;
+}
+
+// 예약한 인증 시도 모두 해제 (kinds를 지정하면 해당 종류만)
+async function releaseAuthAttempts(scope, {target, ip}, kinds=null){
+  for(const k of authFailureKeys(scope, {target, ip})){
+    if(!kinds || kinds.includes(k.kind)) await releaseAuthAttempt(k);
+  }
+}
+
+// 인증 시도 가능 여부 확인: 대상 또는 IP가 잠겼거나 대기 시간 중이면 {message, retryAfter(초)}, 아니면 null
+async function checkAuthThrottle(scope, {target, ip}){
+  const keys = authFailureKeys(scope, {target, ip});
+  if(keys.length === 0) return null;
+  const now = Date.now();
+  const records = await AuthFailure.find({$or:keys}).select('lockedUntil nextAttemptAt').lean();
+  let until = 0, locked = false;
+  for(const r of records){
+    if(r.lockedUntil && r.lockedUntil.getTime() > now){
+      until = Math.max(until, r.lockedUntil.getTime());
+      locked = true;
+    } else if(r.nextAttemptAt && r.nextAttemptAt.getTime() > now){
+      until = Math.max(until, r.nextAttemptAt.getTime());
+    }
+  }
+  if(!until) return null;
+  const retryAfter = Math.ceil((until - now) / 1000);
+  const message = locked
+    ? `${AUTH_SCOPE_LABELS[scope]} 입력 실패가 많아 잠겼습니다. 약 ${Math.ceil(retryAfter / 60)}분 후 다시 시도해주세요.`
+    : `잠시 후 다시 시도해주세요. (${retryAfter}초)`;
+  return {message, retryAfter};
+}
+
+// 인증 시도 예약: 잠금/대기 확인과 진행 중 시도 수 증가를 한 번의 조건부 업데이트로 처리
+// 동시 요청이 실패 기록 전에 함께 통과하지 않도록, 실패 횟수와 진행 중 시도 수의 합이 대기 시간 적용 기준에 도달하면 한 번에 한 요청만,
+// 대상+IP는 잠금 기준 횟수에 도달하면 더 이상 허용하지 않음, 대상은 동시에 잠금 기준 횟수만큼만 허용
+// 예약했으면 null (결과는 recordAuthFailure/clearAuthFailures로 기록), 아니면 {message, retryAfter(초)}
+async function reserveAuthAttempt(scope, {target, ip}){
+  const reserved = [];
+  for(const k of authFailureKeys(scope, {target, ip})){
+    const now = new Date();
+    // 마지막 실패 후 일정 시간이 지났으면 실패 횟수, 예약 후 결과 없이 일정 시간이 지났으면 진행 중 시도 수 초기화
+    await AuthFailure.updateOne({...k, lastFailureAt:{$lt:new Date(now.getTime() - AUTH_FAILURE_WINDOW_MS)}}, {failures:0});
+    await AuthFailure.updateOne({...k, pending:{$gt:0}, pendingUntil:{$lt:now}}, {pending:0});
+    try{
+      await AuthFailure.updateOne(k, {$setOnInsert:{expiresAt:new Date(now.getTime() + AUTH_RECORD_RETENTION_MS)}}, {upsert:true});
+    }catch(e){
+      if(e.code !== 11000) throw e; // 동시에 생성된 경우
+    }
+    const used = {$add:['$failures', {$ifNull:['$pending', 0]}]};
+    const conditions = [{$or:[{lockedUntil:null}, {lockedUntil:{$lte:now}}]}];
+    if(k.kind === 'target'){
+      conditions.push({$or:[{pending:{$exists:false}}, {pending:{$lt:AUTH_MAX_FAILURES}}]});
+    } else {
+      conditions.push(
+        {$or:[{nextAttemptAt:null}, {nextAttemptAt:{$lte:now}}]},
+        {$or:[{pending:{$not:{$gt:0}}}, {$expr:{$lt:[used, k.kind === 'ip' ? AUTH_IP_DELAY_FAILURES : 2]}}]}
+      );
+    }
+    if(k.kind === 'pair') conditions.push({$expr:{$lt:[used, AUTH_MAX_FAILURES]}});
+    const record = await AuthFailure.findOneAndUpdate(
+      {...k, $and:conditions},
+      {$inc:{pending:1}, $set:{pendingUntil:new Date(now.getTime() + AUTH_PENDING_TIMEOUT_MS)}}
+    );
+    if(!record){
+      for(const r of reserved) await releaseAuthAttempt(r);
+      const throttled = await checkAuthThrottle(scope, {target, ip});
+      return throttled || {message:'잠시 후 다시 시도해주세요. (1초)', retryAfter:1}; // 다른 요청이 확인 중
+    }
+    reserved.push(k);
+  }
+  return null;
+}
+
+// 예약한 인증 시도 해제 (진행 중 시도 수 감소)
+async function releaseAuthAttempt(key){
+  await AuthFailure.updateOne({...key, pending:{$gt:0}}, {$inc:{pending:-1}});
+}
+
+// 인증 실패 기록: 대상+IP, 대상, IP별로 실패 횟수를 올림
+// 대상+IP는 두 번째 실패부터 대기 시간 적용, 기준 횟수에 도달하면 잠금
+// 대상은 기준 횟수에 도달하고 실패한 IP가 AUTH_LOCK_MIN_IPS개 이상이면 잠금 (대기 시간 없음)
+// IP는 기준 횟수부터 대기 시간만 적용 (잠그지 않음)
+async function recordAuthFailure(scope, {target, ip, label=''}){
+  for(const k of authFailureKeys(scope, {target, ip})){
+    const now = new Date();
+    // 마지막 실패 후 일정 시간이 지났으면 실패 횟수 초기화
+    await AuthFailure.updateOne({...k, lastFailureAt:{$lt:new Date(now.getTime() - AUTH_FAILURE_WINDOW_MS)}}, {failures:0, failureIps:[]});
+    const update = {$inc:{failures:1}, $set:{lastFailureAt:now, lastIp:ip || '', label:k.kind === 'ip' ? '' : label, expiresAt:new Date(now.getTime() + AUTH_RECORD_RETENTION_MS)}};
+    const record = await AuthFailure.findOneAndUpdate(k, update, {upsert:true, new:true});
+    if(k.kind === 'target' && ip && record.failureIps.length < AUTH_LOCK_MIN_IPS)
+      record.failureIps = (await AuthFailure.findOneAndUpdate({_id:record._id}, {$addToSet:{failureIps:ip}}, {new:true})).failureIps;
+    if(k.kind === 'target'){
+      if(record.failures >= AUTH_MAX_FAILURES && record.failureIps.length >= AUTH_LOCK_MIN_IPS) await lockAuthRecord(record, ip);
+      await releaseAuthAttempt(k);
+      continue;
+    }
+    if(k.kind === 'ip'){
+      if(record.failures >= AUTH_IP_DELAY_FAILURES){
+        const delay = Math.min(AUTH_DELAY_BASE_MS * 2 ** (record.failures - AUTH_IP_DELAY_FAILURES), AUTH_DELAY_MAX_MS);
+        await AuthFailure.updateOne({_id:record._id}, {nextAttemptAt:new Date(now.getTime() + delay)});
+      }
+      await releaseAuthAttempt(k);
+      continue;
+    }
+    if(record.failures >= AUTH_MAX_FAILURES){
+      await lockAuthRecord(record, ip);
+    } else if(record.failures >= 2){
+      const delay = Math.min(AUTH_DELAY_BASE_MS * 2 ** (record.failures - 2), AUTH_DELAY_MAX_MS);
+      await AuthFailure.updateOne({_id:record._id}, {nextAttemptAt:new Date(now.getTime() + delay)});
+    }
+    await releaseAuthAttempt(k); // 잠금/대기 시간을 적용한 뒤 해제해야 다음 요청이 그 사이에 통과하지 않음
+  }
+}
+
+// 인증 실패 기록 잠금 (잠길 때마다 잠금 시간 2배)
+async function lockAuthRecord(record, ip){
+  const lockedUntil = new Date(Date.now() + Math.min(AUTH_LOCKOUT_MS * 2 ** record.lockCount, AUTH_LOCKOUT_MAX_MS));
+  // 동시에 실패한 요청 중 한 요청만 잠금 처리 (failures를 먼저 초기화한 요청)
+  const locked = await AuthFailure.findOneAndUpdate(
+    {_id:record._id, failures:{$gte:AUTH_MAX_FAILURES}},
+    {$set:{failures:0, failureIps:[], nextAttemptAt:null, lockedUntil, expiresAt:new Date(lockedUntil.getTime() + AUTH_RECORD_RETENTION_MS)}, $inc:{lockCount:1}},
+    {new:true}
+  );
+  if(locked) await logAuthLockout(locked, ip);
+}
+
+// 잠금 발생 기록 (서버 로그, 감사 로그, 관리자 소켓)
+async function logAuthLockout(record, ip){
+  const {_id, scope, kind, key, label, lockCount, lockedUntil} = record;
+  console.warn(`[인증 잠금] ${AUTH_SCOPE_LABELS[scope]} ${{pair:'대상+IP', target:'대상', ip:'IP'}[kind]}: ${label || key}, ${lockCount}번째 잠금, 해제: ${lockedUntil.toISOString()}, IP: ${ip}`);
+  await writeAuditLog(null, {
+    actorType:'system', action:'security.lockout', target:`${scope}:${kind}:${key}`,
+    after:{label, ip, lockCount, lockedUntil}
+  });
+  adminIo.emit('authLockout', {_id, scope, kind, key, label, lockCount, lockedUntil});
+}
+
+// 인증 성공 시 대상+IP의 실패 횟수 초기화 및 예약한 시도 해제
+// (대상 기록은 여러 IP에서 나눠 시도하는 경우를, IP 기록은 여러 대상을 시도하는 경우를 막기 위해 유지)
+async function clearAuthFailures(scope, {target, ip}){
+  if(target && ip) await AuthFailure.updateOne({scope, kind:'pair', key:`${target}|${ip}`}, {failures:0, nextAttemptAt:null});
+  await releaseAuthAttempts(scope, {target, ip});
+}
+
+// 잠금/대기 확인 후 인증 시도 (verify: 성공 여부를 반환하는 함수)
+// 잠겼으면 {throttled:{message, retryAfter}}, 아니면 {ok} (실패/성공 기록 포함)
+async function attemptAuth(scope, {target, ip, label}, verify){
+  const throttled = await reserveAuthAttempt(scope, {target, ip});
+  if(throttled) return {throttled};
+  let ok;
+  try{
+    ok = await verify();
+  }catch(e){
+    await releaseAuthAttempts(scope, {target, ip});
+    throw e;
+  }
+  if(ok) await clearAuthFailures(scope, {target, ip});
+  else await recordAuthFailure(scope, {target, ip, label});
+  return {ok};
+}
+
+// 예약/대기 신청 비밀번호 확인 (대상: 예약 또는 대기 신청 ID)
+function attemptResidentPassword(ip, doc, password){
+  return attemptAuth('reservation', {target:doc._id, ip, label:`${doc.name} (${doc.roomNo})`}, () => bcrypt.compare(password, doc.password));
+}
+
+// 잠금/대기 응답 (429 + Retry-After 헤더)
+function sendThrottled(res, throttled){
+  res.set('Retry-After', String(throttled.retryAfter));
+  return res.status(429).json({success:false, message:throttled.message, retryAfter:throttled.retryAfter});
+}
+
+// 관리자 로그인 API (성공 시 서명된 세션 토큰 발급)
+app.post('/api/admin-login', adminLoginLimiter, async (req,res)=>{
+  const {password, username} = req.body || {};
+  const ip=req.ip;
+  if(!username || !password) return res.status(400).json({success:false,message:'이름과 비밀번호 모두 입력 필요'});
+  // 문자열만 허용 (객체를 넣으면 조회 조건으로 해석되어 이름 없이 계정이 조회될 수 있음)
+  if(typeof username !== 'string' || typeof password !== 'string')
+    return res.status(400).json({success:false,message:'이름과 비밀번호 형식이 올바르지 않습니다.'});
+  const attempt = {target:username, ip, label:username}; // 없는 이름으로 시도해도 이름별로 기록
+
+  try{
+    const throttled = await reserveAuthAttempt('admin_login', attempt);
+    if(throttled){
+      console.log(`관리자 로그인 차단 (잠금/대기 중): ${username}, IP: ${ip}`);
+      return sendThrottled(res, throttled);
+    }
+    const admin = await AdminAccount.findOne({username});
+    if(!admin || !admin.active){
+      console.log(`관리자 로그인 실패 (이름 오류): ${username}, IP: ${ip}`);
+      await recordAuthFailure('admin_login', attempt);
+      await writeAuditLog(req, {actorType:'admin', actorName:String(username), action:'admin.login_failed', after:{reason:'unknown_user'}});
+      return res.status(401).json({success:false,message:'허용되지 않은 관리자 이름'});
+    }
+    const match = await bcrypt.compare(password, admin.password);
+    if(!match){
+      console.log(`관리자 로그인 실패 (비밀번호 오류): ${username}, IP: ${ip}, 시간: ${new Date().toISOString()}`);
+      await recordAuthFailure('admin_login', attempt);
+      await writeAuditLog(req, {actorType:'admin', actorName:admin.username, action:'admin.login_failed', after:{reason:'wrong_password'}});
+      return res.status(401).json({success:false,message:'비밀번호 불일치'});
+    }
+    await clearAuthFailures('admin_login', attempt);
+    const expiresAt = new Date(Date.now() + ADMIN_TOKEN_TTL_MS);
+    const session = await AdminSession.create({admin:admin._id, username:admin.username, ip, expiresAt});
+    admin.lastLoginAt = new Date();
+    await admin.save();
+    const token = signAdminToken({sid:session._id.toString(), sub:admin._id.toString(), exp:expiresAt.getTime()});
+    console.log(`관리자 로그인 성공: ${username} (${admin.role}), IP: ${ip}, 시간: ${new Date().toISOString()}`);
+    await writeAuditLog(req, {actorType:'admin', actorName:admin.username, action:'admin.login', after:{role:admin.role}});
+    res.json({success:true, message:'관리자 로그인 성공', token, expiresAt, username:admin.username, role:admin.role});
+  }catch(e){
+    console.error('관리자 로그인 실패:', e);
+    res.status(500).json({success:false, message:'서버 오류'});
+  }
+});
+
+// 관리자 로그아웃 API (현재 세션 토큰 폐기)
+app.post('/api/admin-logout', requireAdmin(), async (req,res)=>{
+  try{
+    req.adminSession.revokedAt = new Date();
+    await req.adminSession.save();
+    await disconnectAdminSockets({session:req.adminSession._id}); // 이 세션으로 연결된 관리자 소켓 종료
+    console.log(`관리자 로그아웃: ${req.admin.username}, IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'admin.logout'});
+    res.json({success:true, message:'로그아웃 되었습니다.'});
+  }catch(e){
+    console.error('관리자 로그아웃 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 현재 로그인한 관리자 정보 조회 API
+app.get('/api/admin/me', requireAdmin(), (req,res)=>{
+  const {_id, username, role, lastLoginAt} = req.admin;
+  res.json({success:true, admin:{_id, username, role, lastLoginAt}, expiresAt:req.adminSession.expiresAt});
+});
+
+// 본인 비밀번호 변경 API (변경 시 다른 세션은 모두 만료)
+app.put('/api/admin/me/password', requireAdmin(), async (req,res)=>{
+  const {currentPassword, newPassword} = req.body || {};
+  if(!currentPassword || !newPassword) return res.status(400).json({message:'현재 비밀번호와 새 비밀번호를 입력해주세요.'});
+  if(typeof currentPassword !== 'string' || typeof newPassword !== 'string')
+    return res.status(400).json({message:'비밀번호 형식이 올바르지 않습니다.'});
+  if(newPassword.length < 8 || isWeakPassword(newPassword))
+    return res.status(400).json({message:'관리자 비밀번호는 8자 이상이며 단순한 패턴이 아니어야 합니다.'});
+
+  try{
+    const match = await bcrypt.compare(currentPassword, req.admin.password);
+    if(!match) return res.status(401).json({message:'현재 비밀번호가 틀렸습니다.'});
+    req.admin.password = newPassword;
+    await req.admin.save();
+    await AdminSession.updateMany(
+      {admin:req.admin._id, _id:{$ne:req.adminSession._id}, revokedAt:null},
+      {revokedAt:new Date()}
+    );
+    await disconnectAdminSockets({admin:req.admin._id, exceptSession:req.adminSession._id});
+    console.log(`관리자(${req.admin.username}) 비밀번호 변경. IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'admin.password_change', target:req.admin.username});
+    res.json({success:true, message:'비밀번호가 변경되었습니다.'});
+  }catch(e){
+    console.error('관리자 비밀번호 변경 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자 계정 목록 조회 API (최고 관리자 전용)
+app.get('/api/admin/accounts', requireAdmin('superadmin'), async (req,res)=>{
+  try{
+    const accounts = await AdminAccount.find({}).select('-password').sort({createdAt:1});
+    res.json(accounts);
+  }catch(e){
+    console.error('관리자 계정 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자 계정 생성 API (최고 관리자 전용)
+app.post('/api/admin/accounts', requireAdmin('superadmin'), async (req,res)=>{
+  const {username, password, role} = req.body || {};
+  if(!username || !password) return res.status(400).json({message:'관리자 이름과 비밀번호를 입력해주세요.'});
+  if(typeof username !== 'string' || typeof password !== 'string')
+    return res.status(400).json({message:'관리자 이름과 비밀번호 형식이 올바르지 않습니다.'});
+  if(role && !ADMIN_ROLES.includes(role)) return res.status(400).json({message:'올바르지 않은 권한입니다.'});
+  if(password.length < 8 || isWeakPassword(password))
+    return res.status(400).json({message:'관리자 비밀번호는 8자 이상이며 단순한 패턴이 아니어야 합니다.'});
+
+  try{
+    const account = new AdminAccount({username, password, role});
+    await account.save();
+    console.log(`관리자(${req.admin.username})가 관리자 계정 생성: ${account.username} (${account.role}). IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'admin.account_create', target:account.username, after:{role:account.role}});
+    const {_id, active, createdAt} = account;
+    res.json({success:true, message:'관리자 계정이 생성되었습니다.', account:{_id, username:account.username, role:account.role, active, createdAt}});
+  }catch(e){
+    console.error('관리자 계정 생성 실패:', e);
+    if(e.code === 11000) return res.status(409).json({message:'이미 존재하는 관리자 이름입니다.'});
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자 계정 수정 API (권한, 활성화 여부, 비밀번호 재설정 / 최고 관리자 전용)
+app.put('/api/admin/accounts/:id', requireAdmin('superadmin'), async (req,res)=>{
+  const {id} = req.params;
+  const {role, active, password} = req.body || {};
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'관리자 계정을 찾을 수 없습니다.'});
+  if(role !== undefined && !ADMIN_ROLES.includes(role)) return res.status(400).json({message:'올바르지 않은 권한입니다.'});
+  if(password !== undefined && typeof password !== 'string') return res.status(400).json({message:'비밀번호 형식이 올바르지 않습니다.'});
+  if(password !== undefined && (password.length < 8 || isWeakPassword(password)))
+    return res.status(400).json({message:'관리자 비밀번호는 8자 이상이며 단순한 패턴이 아니어야 합니다.'});
+  if(id === req.admin._id.toString() && (role !== undefined || active === false))
+    return res.status(400).json({message:'본인 계정의 권한 변경 및 비활성화는 할 수 없습니다.'});
+
+  try{
+    const account = await AdminAccount.findById(id);
+    if(!account) return res.status(404).json({message:'관리자 계정을 찾을 수 없습니다.'});
+    const before = {role:account.role, active:account.active};
+    if(role !== undefined) account.role = role;
+    if(active !== undefined) account.active = !!active;
+    if(password !== undefined) account.password = password;
+    await account.save();
+    // 권한 축소, 비활성화, 비밀번호 재설정 시 기존 세션 모두 만료
+    if(role !== undefined || active === false || password !== undefined){
+      await AdminSession.updateMany({admin:account._id, revokedAt:null}, {revokedAt:new Date()});
+      await disconnectAdminSockets({admin:account._id});
+    }
+    console.log(`관리자(${req.admin.username})가 관리자 계정 수정: ${account.username} (권한: ${account.role}, 활성: ${account.active}${password !== undefined ? ', 비밀번호 재설정' : ''}). IP: ${req.ip}`);
+    await writeAuditLog(req, {
+      action:'admin.account_update', target:account.username, before,
+      after:{role:account.role, active:account.active, passwordReset:password !== undefined}
+    });
+    res.json({success:true, message:'관리자 계정이 수정되었습니다.'});
+  }catch(e){
+    console.error('관리자 계정 수정 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자 계정 삭제 API (최고 관리자 전용)
+app.delete('/api/admin/accounts/:id', requireAdmin('superadmin'), async (req,res)=>{
+  const {id} = req.params;
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'관리자 계정을 찾을 수 없습니다.'});
+  if(id === req.admin._id.toString()) return res.status(400).json({message:'본인 계정은 삭제할 수 없습니다.'});
+
+  try{
+    const account = await AdminAccount.findByIdAndDelete(id);
+    if(!account) return res.status(404).json({message:'관리자 계정을 찾을 수 없습니다.'});
+    await AdminSession.updateMany({admin:account._id, revokedAt:null}, {revokedAt:new Date()});
+    await disconnectAdminSockets({admin:account._id});
+    console.log(`관리자(${req.admin.username})가 관리자 계정 삭제: ${account.username}. IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'admin.account_delete', target:account.username, before:{role:account.role, active:account.active}});
+    res.json({success:true, message:'관리자 계정이 삭제되었습니다.'});
+  }catch(e){
+    console.error('관리자 계정 삭제 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자 세션 강제 만료 API (해당 계정의 모든 로그인 세션 폐기 / 최고 관리자 전용)
+app.post('/api/admin/accounts/:id/revoke-sessions', requireAdmin('superadmin'), async (req,res)=>{
+  const {id} = req.params;
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'관리자 계정을 찾을 수 없습니다.'});
+
+  try{
+    const account = await AdminAccount.findById(id);
+    if(!account) return res.status(404).json({message:'관리자 계정을 찾을 수 없습니다.'});
+    const result = await AdminSession.updateMany({admin:account._id, revokedAt:null}, {revokedAt:new Date()});
+    await disconnectAdminSockets({admin:account._id});
+    console.log(`관리자(${req.admin.username})가 ${account.username}의 세션 ${result.modifiedCount}개 만료. IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'admin.sessions_revoke', target:account.username, after:{revoked:result.modifiedCount}});
+    res.json({success:true, message:'세션이 만료되었습니다.', revoked:result.modifiedCount});
+  }catch(e){
+    console.error('관리자 세션 만료 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 모든 예약 조회 API (공개용: 좌석 점유 정보 + 마스킹된 이름)
+app.get('/api/reservations', async (req, res)=>{
+  try{
+    res.json(await getPublicReservations());
+  }catch(e){
+    console.error('예약 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자용 예약 목록 조회 API (필터/검색/정렬/페이지네이션)
+// 쿼리: dormitory, floor, roomNo, name(부분 검색), sort(예: 'seat', '-createdAt'), page(1부터), limit(최대 200)
+const ADMIN_RESERVATION_SORT_FIELDS = ['roomNo','name','dormitory','floor','seat','createdAt'];
+app.get('/api/admin/reservations', requireAdmin(), async (req,res)=>{
+  const {dormitory, floor, roomNo, name, sort} = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+  const filter = {};
+  if(dormitory) filter.dormitory = String(dormitory);
+  if(floor) filter.floor = String(floor);
+  if(roomNo) filter.roomNo = String(roomNo);
+  if(name) filter.name = {$regex:escapeRegex(String(name)), $options:'i'};
+
+  // 정렬 기본값: 기숙사 -> 층 -> 좌석 순
+  let sortSpec = {dormitory:1, floor:1, seat:1};
+  if(sort){
+    const desc = String(sort).startsWith('-');
+    const field = desc ? String(sort).slice(1) : String(sort);
+    if(!ADMIN_RESERVATION_SORT_FIELDS.includes(field)) return res.status(400).json({message:'정렬할 수 없는 항목입니다.'});
+    sortSpec = {[field]: desc ? -1 : 1, _id:1};
+  }
+
+  try{
+    const [items, total] = await Promise.all([
+      Reservation.find(filter).select(ADMIN_RESERVATION_FIELDS).sort(sortSpec).skip((page-1)*limit).limit(limit).lean(),
+      Reservation.countDocuments(filter)
+    ]);
+    res.json({items, total, page, limit, totalPages:Math.ceil(total/limit)});
+  }catch(e){
+    console.error('관리자 예약 목록 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 예약 생성 또는 수정 API
+app.post('/api/reservations', limiter, async (req,res) => {
+  if(req.body.honeypot_field) return res.status(400).json({message:'비정상적 요청'}); // honeypot 필터
+  const {dormitory, floor, seat, password, holdToken} = req.body;
+  // 호실, 이름은 공백을 제거해 저장/조회 (명단 확인과 같은 기준 / 공백만 바꿔 같은 학생이 중복 예약하지 못하도록)
+  const roomNo = trimInput(req.body.roomNo), name = trimInput(req.body.name);
+  if(!roomNo || !name || !dormitory || !floor || seat === undefined || !password) 
+    return res.status(400).json({message:'모든 정보가 필요합니다.'});
+  // 문자열만 허용 (객체를 넣으면 조회 조건으로 해석됨 / 좌석 번호는 숫자도 허용)
+  if([roomNo, name, dormitory, floor, password].some(v => typeof v !== 'string') || !['string','number'].includes(typeof seat))
+    return res.status(400).json({message:'입력 형식이 올바르지 않습니다.'});
+  // 선점 토큰은 문자열만 허용 (객체를 넣으면 조회 조건으로 해석되어 다른 선점까지 해제될 수 있음)
+  if(holdToken !== undefined && holdToken !== null && typeof holdToken !== 'string')
+    return res.status(400).json({message:'선점 정보가 올바르지 않습니다.'});
+  if(isWeakPassword(password)) 
+    return res.status(400).json({message:'매우 단순한 비밀번호는 사용할 수 없습니다. 다른 비밀번호를 사용해주세요.'});
+
+  // 좌석 배치도 기준 좌석 검증
+  const seatError = await validateSeatSelection(dormitory, floor, seat);
+  if(seatError) return res.status(400).json({message:seatError});
+
+  // 입사생 명단 기준 예약 자격 확인
+  const rosterError = await checkRosterEligibility(roomNo, name, dormitory);
+  if(rosterError) return res.status(403).json({message:rosterError});
+
+  try {
+    const conflict = await Reservation.findOne({dormitory, floor, seat});
+    const existing = await Reservation.findOne({roomNo, name});
+
+    // 예약 기간 확인 (선택한 좌석에 적용되는 진행 중인 기간이 신규 예약/좌석 변경을 허용하는지)
+    const windowError = await checkReservationWindow(dormitory, floor, existing ? 'change' : 'create');
+    if(windowError) return res.status(403).json({message:windowError});
+
+    // 중복 좌석 또는 이미 존재하는 사용자의 좌석 변경
+    if(conflict && (!existing || existing._id.toString() !== conflict._id.toString())) 
+      return res.status(409).json({message:'선택하신 좌석은 이미 예약되어 있습니다.'});
+
+    // 다른 사용자가 선점 중인 좌석은 선점자만 예약 가능
+    const holdError = await checkSeatHold(dormitory, floor, seat, holdToken);
+    if(holdError) return res.status(409).json({message:holdError});
+
+    if(existing){ // 기존 사용자 - 예약 변경
+      const auth = await attemptResidentPassword(req.ip, existing, password);
+      if(auth.throttled) return sendThrottled(res, auth.throttled);
+      if(!auth.ok) return res.status(401).json({message:'비밀번호가 일치하지 않습니다.'});
+      const resv = await Reservation.findByIdAndUpdate(existing._id, {dormitory,floor,seat}, {new:true});
+      console.log(`예약 변경 성공: ${resv.name} (${resv.roomNo}), 좌석: ${resv.dormitory} ${resv.floor}-${resv.seat}`);
+      await writeAuditLog(req, {
+        actorName:`${resv.name} (${resv.roomNo})`, action:'reservation.change', reservation:resv,
+        before:auditReservation(existing), after:auditReservation(resv)
+      });
+      res.json({success:true, message:'예약 변경 성공', reservation: sanitizeReservation(resv)});
+      if(holdToken) await releaseHolds({token:holdToken}); // 예약 완료된 좌석 선점 해제
+      await emitSeatChanged(existing, resv); // 실시간 업데이트 알림
+      if(existing.dormitory !== resv.dormitory || existing.floor !== resv.floor || existing.seat !== resv.seat){
+        await promoteFreedSeat(existing.dormitory, existing.floor, existing.seat); // 이전 좌석 대기자 배정
+        await cancelStaleSwapRequests([resv._id], '예약 좌석이 변경됨');
+      }
+    } else { // 신규 사용자 - 예약 생성
+      const resv = new Reservation({roomNo,name,dormitory,floor,seat,password});
+      await resv.save();
+      console.log(`예약 생성 성공: ${resv.name} (${resv.roomNo}), 좌석: ${resv.dormitory} ${resv.floor}-${resv.seat}`);
+      await writeAuditLog(req, {actorName:`${resv.name} (${resv.roomNo})`, action:'reservation.create', reservation:resv, after:auditReservation(resv)});
+      res.json({success:true, message:'예약 성공', reservation: sanitizeReservation(resv)});
+      if(holdToken) await releaseHolds({token:holdToken}); // 예약 완료된 좌석 선점 해제
+      await emitSeatReserved(resv); // 실시간 업데이트 알림
+    }
+  } catch(e){
+    console.error('예약 생성/변경 실패:', e);
+    if(e.code === 11000) return res.status(409).json({message:'중복된 예약 정보입니다.'});
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// --- !!! 라우트 순서 변경: `/api/reservations/all` 라우트를 `:id` 라우트보다 먼저 정의 !!! ---
+// 모든 예약 취소 API (최고 관리자 전용)
+app.delete('/api/reservations/all', requireAdmin('superadmin'), async(req, res)=>{
+  const adminUsername = req.admin.username;
+  const clientIp = req.ip;
+
+  try{
+    // 삭제 전 스냅샷 저장 (스냅샷에 포함된 예약만 삭제하여 백업 없이 지워지는 예약이 없도록 함)
+    const snapshot = await createSnapshot({
+      name:(req.body && req.body.snapshotName) || `전체 삭제 전 자동 백업 ${new Date().toISOString()}`,
+      reason:'delete_all', createdBy:adminUsername
+    });
+    // 전체 삭제는 반드시 기록 (기록 실패 시 삭제하지 않음)
+    await writeAuditLog(req, {action:'reservation.delete_all', target:String(snapshot._id), before:{count:snapshot.count}}, {required:true});
+    await Reservation.deleteMany({_id:{$in:snapshot.reservations.map(r => r.originalId)}}); // 모든 예약 삭제
+    console.warn(`[모든 예약 삭제] 관리자(${adminUsername})에 의해 모든 예약(${snapshot.count}건)이 취소되었습니다. 스냅샷: ${snapshot._id}, IP: ${clientIp}`);
+    await broadcastResync(); // 모든 클라이언트에 예약 목록 다시 받도록 알림
+    res.json({success:true,message:'모든 예약이 취소되었습니다.', snapshotId:snapshot._id});
+  }catch(e){
+    console.error('전체 예약 삭제 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 개별 예약 취소 API (운영자 이상 관리자 토큰이 있으면 예약자 비밀번호 없이 바로 취소 가능)
+app.delete('/api/reservations/:id', limiter, async(req, res)=>{
+  try{
+    const {id} = req.params;
+    const {password} = req.body || {};
+    const clientIp = req.ip;
+
+    const auth = await authenticateAdminToken(getBearerToken(req));
+    const isAdmin = auth && hasAdminRole(auth.admin, 'operator');
+    const adminUsername = isAdmin ? auth.admin.username : null;
+
+    if(isAdmin){ // 관리자 권한으로 삭제 요청
+      const reservation = await Reservation.findById(id);
+      if(!reservation) return res.status(404).json({message:'예약을 찾을 수 없습니다.'});
+      await Reservation.findByIdAndDelete(id);
+      console.log(`관리자(${adminUsername})에 의해 예약(${reservation.name}, ${reservation.roomNo}) 취소됨. IP: ${clientIp}`);
+      await writeAuditLog(req, {actorType:'admin', actorName:adminUsername, action:'reservation.cancel', reservation, before:auditReservation(reservation)});
+      res.json({success:true, message:`관리자(${adminUsername})가 예약을 취소했습니다.`});
+      await emitSeatReleased(reservation); // 실시간 업데이트 알림
+      await promoteFreedSeat(reservation.dormitory, reservation.floor, reservation.seat); // 대기자 자동 배정
+      await cancelStaleSwapRequests([reservation._id], '예약이 취소됨');
+      return;
+    }
+
+    // 관리자 권한이 없거나, adminUsername이 유효하지 않을 경우: 예약자 비밀번호 검증 필요
+    if(!password) return res.status(400).json({message:'예약 비밀번호를 입력해주세요.'});
+    if(typeof password !== 'string') return res.status(400).json({message:'입력 형식이 올바르지 않습니다.'});
+    const reservation = await Reservation.findById(id);
+    if(!reservation) return res.status(404).json({message:'예약을 찾을 수 없습니다.'});
+    const windowError = await checkReservationWindow(reservation.dormitory, reservation.floor, 'cancel');
+    if(windowError) return res.status(403).json({message:windowError});
+    const passwordCheck = await attemptResidentPassword(req.ip, reservation, password);
+    if(passwordCheck.throttled) return sendThrottled(res, passwordCheck.throttled);
+    if(!passwordCheck.ok) return res.status(401).json({success:false,message:'예약 비밀번호가 일치하지 않습니다.'});
+    await Reservation.findByIdAndDelete(id);
+    console.log(`사용자에 의해 예약(${reservation.name}, ${reservation.roomNo}) 취소됨. IP: ${clientIp}`);
+    await writeAuditLog(req, {
+      actorName:`${reservation.name} (${reservation.roomNo})`, action:'reservation.cancel', reservation, before:auditReservation(reservation)
+    });
+    res.json({success:true,message:'예약 취소 완료'});
+    await emitSeatReleased(reservation); // 실시간 업데이트 알림
+    await promoteFreedSeat(reservation.dormitory, reservation.floor, reservation.seat); // 대기자 자동 배정
+    await cancelStaleSwapRequests([reservation._id], '예약이 취소됨');
+  }catch(e){
+    console.error('예약 취소 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 대기 신청 API (특정 좌석 또는 층 전체 대기 / seat를 생략하면 층 전체)
+// 응답의 waitlistToken으로 소켓 'watchWaitlist'를 보내면 배정 시 'waitlistPromoted' 알림을 받음
+app.post('/api/waitlist', limiter, async (req,res) => {
+  const {password, dormitory, floor, seat} = req.body || {};
+  // 호실, 이름은 공백을 제거해 저장/조회 (예약과 같은 기준)
+  const roomNo = trimInput((req.body || {}).roomNo), name = trimInput((req.body || {}).name);
+  if(!roomNo || !name || !password || !dormitory || !floor)
+    return res.status(400).json({message:'모든 정보가 필요합니다.'});
+  // 문자열만 허용 (객체를 넣으면 조회 조건으로 해석됨)
+  if([roomNo, name, password, dormitory, floor].some(v => typeof v !== 'string'))
+    return res.status(400).json({message:'입력 형식이 올바르지 않습니다.'});
+  if(isWeakPassword(password))
+    return res.status(400).json({message:'매우 단순한 비밀번호는 사용할 수 없습니다. 다른 비밀번호를 사용해주세요.'});
+  const hasSeat = seat !== undefined && seat !== null && seat !== '';
+
+  try{
+    if(hasSeat){
+      const seatError = await validateSeatSelection(dormitory, floor, seat);
+      if(seatError) return res.status(400).json({message:seatError});
+      if(!await Reservation.exists({dormitory, floor, seat:Number(seat)}))
+        return res.status(409).json({message:'현재 비어 있는 좌석입니다. 바로 예약해주세요.'});
+    } else if(await SeatMap.exists({}) && !await SeatMap.exists({dormitory, floor})){ // 배치도 등록 전에는 확인하지 않음
+      return res.status(400).json({message:'존재하지 않는 기숙사 또는 층입니다.'});
+    }
+    const windowError = await checkReservationWindow(dormitory, floor, 'create');
+    if(windowError) return res.status(403).json({message:windowError});
+    const rosterError = await checkRosterEligibility(roomNo, name, dormitory);
+    if(rosterError) return res.status(403).json({message:rosterError});
+    if(await Reservation.exists({roomNo, name}))
+      return res.status(409).json({message:'이미 예약된 좌석이 있습니다. 좌석 변경을 이용해주세요.'});
+
+    const position = await nextWaitlistPosition(dormitory, floor);
+    const token = crypto.randomBytes(16).toString('hex');
+    const entry = await new WaitlistEntry({
+      roomNo, name, password, dormitory, floor, seat:hasSeat ? Number(seat) : null,
+      position, token
+    }).save();
+    const rank = await getWaitlistRank(entry);
+    console.log(`대기 신청: ${name} (${roomNo}), ${dormitory} ${floor}-${hasSeat ? seat : '전체'}, 순번: ${rank}, IP: ${req.ip}`);
+    await writeAuditLog(req, {
+      actorName:`${entry.name} (${entry.roomNo})`, action:'waitlist.join', target:String(entry._id),
+      after:{dormitory:entry.dormitory, floor:entry.floor, seat:entry.seat, rank}
+    });
+    emitWaitlistActivity('join', entry);
+    res.json({success:true, message:`대기 신청 완료 (현재 ${rank}번째)`, entryId:entry._id, rank, waitlistToken:token});
+  }catch(e){
+    console.error('대기 신청 실패:', e);
+    if(e.code === 11000) return res.status(409).json({message:'이미 대기 중입니다.'});
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 대기 상태 조회 API (호실+이름+비밀번호)
+app.post('/api/waitlist/status', limiter, async (req,res) => {
+  const {roomNo, name, password} = req.body || {};
+  if(!roomNo || !name || !password) return res.status(400).json({message:'모든 정보가 필요합니다.'});
+  if(typeof password !== 'string') return res.status(400).json({message:'입력 형식이 올바르지 않습니다.'});
+
+  try{
+    const entry = await WaitlistEntry.findOne({roomNo:String(roomNo).trim(), name:String(name).trim()}).sort({createdAt:-1});
+    if(!entry) return res.status(404).json({message:'대기 신청 내역이 없습니다.'});
+    const auth = await attemptResidentPassword(req.ip, entry, password);
+    if(auth.throttled) return sendThrottled(res, auth.throttled);
+    if(!auth.ok) return res.status(401).json({message:'비밀번호가 일치하지 않습니다.'});
+    const {_id, dormitory, floor, seat, status, statusReason, reservation} = entry;
+    res.json({
+      success:true, entryId:_id, dormitory, floor, seat, status, statusReason, reservation,
+      rank:status === 'waiting' ? await getWaitlistRank(entry) : null
+    });
+  }catch(e){
+    console.error('대기 상태 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 대기 취소 API (대기자 비밀번호 검증)
+app.delete('/api/waitlist/:id', limiter, async (req,res) => {
+  const {id} = req.params;
+  const {password} = req.body || {};
+  if(!password) return res.status(400).json({message:'비밀번호를 입력해주세요.'});
+  if(typeof password !== 'string') return res.status(400).json({message:'입력 형식이 올바르지 않습니다.'});
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'대기 신청을 찾을 수 없습니다.'});
+
+  try{
+    const entry = await WaitlistEntry.findOne({_id:id, status:'waiting'});
+    if(!entry) return res.status(404).json({message:'대기 신청을 찾을 수 없습니다.'});
+    const auth = await attemptResidentPassword(req.ip, entry, password);
+    if(auth.throttled) return sendThrottled(res, auth.throttled);
+    if(!auth.ok) return res.status(401).json({message:'비밀번호가 일치하지 않습니다.'});
+    entry.set({status:'removed', statusReason:'본인 취소', updatedAt:new Date()});
+    await entry.save();
+    console.log(`대기 취소: ${entry.name} (${entry.roomNo}), IP: ${req.ip}`);
+    await writeAuditLog(req, {actorName:`${entry.name} (${entry.roomNo})`, action:'waitlist.leave', target:String(entry._id)});
+    emitWaitlistActivity('leave', entry);
+    res.json({success:true, message:'대기가 취소되었습니다.'});
+  }catch(e){
+    console.error('대기 취소 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자용 대기자 명단 조회 API (dormitory, floor, seat, status 필터 / 층별 대기 순서대로)
+app.get('/api/admin/waitlist', requireAdmin(), async (req,res) => {
+  const {dormitory, floor, seat} = req.query;
+  const status = req.query.status || 'waiting';
+  if(!WAITLIST_STATUSES.includes(status)) return res.status(400).json({message:'올바르지 않은 상태입니다.'});
+
+  try{
+    const filter = {status};
+    if(dormitory) filter.dormitory = String(dormitory);
+    if(floor) filter.floor = String(floor);
+    if(seat) filter.$or = [{seat:Number(seat)}, {seat:null}];
+    const entries = await WaitlistEntry.find(filter).select(WAITLIST_HIDDEN_FIELDS).sort({dormitory:1, floor:1, position:1}).lean();
+    res.json(entries);
+  }catch(e){
+    console.error('대기자 명단 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자용 대기 순서 변경 API ({rank}: 같은 층 대기 줄에서 옮길 순번, 1부터 / 운영자 이상)
+app.put('/api/admin/waitlist/:id/rank', requireAdmin('operator'), async (req,res) => {
+  const {id} = req.params;
+  const rank = parseInt((req.body || {}).rank);
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'대기 신청을 찾을 수 없습니다.'});
+  if(!Number.isInteger(rank) || rank < 1) return res.status(400).json({message:'순번은 1 이상의 정수여야 합니다.'});
+
+  try{
+    const entry = await WaitlistEntry.findOne({_id:id, status:'waiting'});
+    if(!entry) return res.status(404).json({message:'대기 신청을 찾을 수 없습니다.'});
+    const queue = await WaitlistEntry.find({dormitory:entry.dormitory, floor:entry.floor, status:'waiting'})
+      .sort({position:1, createdAt:1}).select('_id').lean();
+    const ids = queue.map(q => q._id.toString()).filter(q => q !== id);
+    ids.splice(Math.min(rank, ids.length + 1) - 1, 0, id);
+    const beforeRank = await getWaitlistRank(entry);
+    await renumberWaitlist(ids);
+    console.log(`관리자(${req.admin.username}) 대기 순서 변경: ${entry.name} (${entry.roomNo}) -> ${rank}번째. IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'waitlist.reorder', target:`${entry.name} (${entry.roomNo})`, before:{rank:beforeRank}, after:{rank}});
+    emitWaitlistActivity('reorder', await WaitlistEntry.findById(id).lean());
+    res.json({success:true, message:'대기 순서가 변경되었습니다.'});
+  }catch(e){
+    console.error('대기 순서 변경 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자용 대기 삭제 API (운영자 이상)
+app.delete('/api/admin/waitlist/:id', requireAdmin('operator'), async (req,res) => {
+  const {id} = req.params;
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'대기 신청을 찾을 수 없습니다.'});
+
+  try{
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      {_id:id, status:'waiting'},
+      {status:'removed', statusReason:`관리자(${req.admin.username}) 삭제`, updatedAt:new Date()},
+      {new:true}
+    );
+    if(!entry) return res.status(404).json({message:'대기 신청을 찾을 수 없습니다.'});
+    console.log(`관리자(${req.admin.username}) 대기 삭제: ${entry.name} (${entry.roomNo}). IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'waitlist.remove', target:`${entry.name} (${entry.roomNo})`});
+    emitWaitlistActivity('remove', entry);
+    res.json({success:true, message:'대기 신청이 삭제되었습니다.'});
+  }catch(e){
+    console.error('대기 삭제 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 좌석 교환 요청 API (요청자 호실+이름+비밀번호, 교환할 좌석 dormitory, floor, seat)
+// 상대 예약자는 소켓 'watchReservation'으로 'swapRequested' 알림을 받거나 /api/swaps/mine으로 확인
+app.post('/api/swaps', limiter, async (req,res) => {
+  const {roomNo, name, password, dormitory, floor, seat} = req.body || {};
+  if(!roomNo || !name || !password || !dormitory || !floor || seat === undefined)
+    return res.status(400).json({message:'모든 정보가 필요합니다.'});
+  if(typeof password !== 'string') return res.status(400).json({message:'입력 형식이 올바르지 않습니다.'});
+
+  try{
+    const requester = await Reservation.findOne({roomNo:String(roomNo).trim(), name:String(name).trim()});
+    if(!requester) return res.status(404).json({message:'예약 내역이 없습니다. 먼저 좌석을 예약해주세요.'});
+    const auth = await attemptResidentPassword(req.ip, requester, password);
+    if(auth.throttled) return sendThrottled(res, auth.throttled);
+    if(!auth.ok) return res.status(401).json({message:'비밀번호가 일치하지 않습니다.'});
+    const target = await Reservation.findOne({dormitory:String(dormitory), floor:String(floor), seat:Number(seat)});
+    if(!target) return res.status(404).json({message:'선택하신 좌석은 예약되어 있지 않습니다. 좌석 변경을 이용해주세요.'});
+    if(target._id.equals(requester._id)) return res.status(400).json({message:'본인 좌석과는 교환할 수 없습니다.'});
+    const seatError = await checkSwapSeat(requester, target)
+      || await checkReservationWindow(requester.dormitory, requester.floor, 'change');
+    if(seatError) return res.status(403).json({message:seatError});
+
+    const swap = await SeatSwapRequest.create({
+      requester:requester._id, target:target._id,
+      requesterSeat:{dormitory:requester.dormitory, floor:requester.floor, seat:requester.seat},
+      targetSeat:{dormitory:target.dormitory, floor:target.floor, seat:target.seat},
+      expiresAt:new Date(Date.now() + SWAP_REQUEST_TTL_MS)
+    });
+    console.log(`좌석 교환 요청: ${requester.name} (${requester.roomNo}) ${requester.dormitory} ${requester.floor}-${requester.seat} <-> ${target.dormitory} ${target.floor}-${target.seat}, IP: ${req.ip}`);
+    await writeAuditLog(req, {
+      actorName:`${requester.name} (${requester.roomNo})`, action:'swap.request', reservation:requester, target:String(swap._id),
+      after:{requesterSeat:swap.requesterSeat, targetSeat:swap.targetSeat}
+    });
+    notifySwap(swap, {requester:requester.name}); // 상대 예약자에게 교환 요청 알림
+    res.json({success:true, message:'좌석 교환을 요청했습니다. 상대방이 수락하면 좌석이 교환됩니다.', swap:toSwapView(swap)});
+  }catch(e){
+    console.error('좌석 교환 요청 실패:', e);
+    if(e.code === 11000) return res.status(409).json({message:'이미 보낸 교환 요청이 있습니다. 기존 요청을 취소한 후 다시 시도해주세요.'});
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 내 교환 요청 조회 API (호실+이름+비밀번호 / 받은 요청, 보낸 요청 중 대기 중인 것)
+app.post('/api/swaps/mine', limiter, async (req,res) => {
+  const {roomNo, name, password} = req.body || {};
+  if(!roomNo || !name || !password) return res.status(400).json({message:'모든 정보가 필요합니다.'});
+  if(typeof password !== 'string') return res.status(400).json({message:'입력 형식이 올바르지 않습니다.'});
+
+  try{
+    const resv = await Reservation.findOne({roomNo:String(roomNo).trim(), name:String(name).trim()});
+    if(!resv) return res.status(404).json({message:'예약 내역이 없습니다.'});
+    const auth = await attemptResidentPassword(req.ip, resv, password);
+    if(auth.throttled) return sendThrottled(res, auth.throttled);
+    if(!auth.ok) return res.status(401).json({message:'비밀번호가 일치하지 않습니다.'});
+    const swaps = await SeatSwapRequest.find({status:'pending', expiresAt:{$gt:new Date()}, $or:[{requester:resv._id}, {target:resv._id}]})
+      .populate('requester', 'name').populate('target', 'name').sort({createdAt:-1}).lean();
+    const view = s => toSwapView({...s, requester:s.requester && s.requester._id, target:s.target && s.target._id}, {
+      requester:s.requester && s.requester.name, target:s.target && s.target.name
+    });
+    res.json({
+      success:true, reservationId:resv._id,
+      incoming:swaps.filter(s => s.target && s.target._id.equals(resv._id)).map(view),
+      outgoing:swaps.filter(s => s.requester && s.requester._id.equals(resv._id)).map(view)
+    });
+  }catch(e){
+    console.error('교환 요청 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 교환 요청 수락 API (상대 예약 비밀번호 검증 후 두 좌석을 한 번에 교환)
+app.post('/api/swaps/:id/accept', limiter, requireTransactions, async (req,res) => {
+  const {id} = req.params;
+  const {password} = req.body || {};
+  if(!password) return res.status(400).json({message:'예약 비밀번호를 입력해주세요.'});
+  if(typeof password !== 'string') return res.status(400).json({message:'입력 형식이 올바르지 않습니다.'});
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'교환 요청을 찾을 수 없습니다.'});
+
+  try{
+    const swap = await SeatSwapRequest.findOne({_id:id, status:'pending'});
+    if(!swap) return res.status(404).json({message:'교환 요청을 찾을 수 없습니다.'});
+    const target = await Reservation.findById(swap.target);
+    if(!target) return res.status(404).json({message:'교환 요청을 찾을 수 없습니다.'});
+    const auth = await attemptResidentPassword(req.ip, target, password);
+    if(auth.throttled) return sendThrottled(res, auth.throttled);
+    if(!auth.ok) return res.status(401).json({message:'예약 비밀번호가 일치하지 않습니다.'});
+    if(swap.expiresAt <= new Date()){
+      await closeSwapRequest(swap._id, 'expired', '응답 시간이 지나 만료됨');
+      return res.status(410).json({message:'만료된 교환 요청입니다.'});
+    }
+    const requester = await Reservation.findById(swap.requester);
+    if(!isSameSeat(requester, swap.requesterSeat) || !isSameSeat(target, swap.targetSeat)){
+      await closeSwapRequest(swap._id, 'cancelled', '요청 이후 좌석이 변경되어 교환할 수 없음');
+      return res.status(409).json({message:'요청 이후 좌석이 변경되어 교환할 수 없습니다.'});
+    }
+    const seatError = await checkSwapSeat(requester, swap.targetSeat) || await checkSwapSeat(target, swap.requesterSeat);
+    if(seatError) return res.status(403).json({message:seatError});
+
+    const result = await exchangeSeats(swap);
+    if(!result){
+      // 이미 철회/만료/거절된 요청이면 closeSwapRequest가 아무것도 바꾸지 않음
+      const closed = await closeSwapRequest(swap._id, 'cancelled', '요청 이후 좌석이 변경되어 교환할 수 없음');
+      if(!closed) return res.status(409).json({message:'이미 처리된 교환 요청입니다.'});
+      return res.status(409).json({message:'요청 이후 좌석이 변경되어 교환할 수 없습니다.'});
+    }
+    const {before, after} = result;
+    console.log(`좌석 교환 완료: ${requester.name} (${requester.roomNo}) <-> ${target.name} (${target.roomNo}), ${swap.requesterSeat.dormitory} ${swap.requesterSeat.floor}-${swap.requesterSeat.seat} <-> ${swap.targetSeat.dormitory} ${swap.targetSeat.floor}-${swap.targetSeat.seat}, IP: ${req.ip}`);
+    await writeAuditLog(req, {
+      actorName:`${target.name} (${target.roomNo})`, action:'swap.accept', reservation:target, target:String(swap._id),
+      before:{requester:auditReservation(before.requester), target:auditReservation(before.target)},
+      after:{requester:auditReservation(after.requester), target:auditReservation(after.target)}
+    });
+    swap.set({status:'accepted', statusReason:'', respondedAt:new Date()});
+    notifySwap(swap); // 양쪽 예약자에게 교환 완료 알림
+    res.json({success:true, message:'좌석이 교환되었습니다.', reservation:sanitizeReservation(after.target)});
+    // 두 좌석을 비운 뒤 다시 채우는 순서로 알림 (클라이언트가 순서대로 적용해도 중간에 좌석이 겹치지 않도록)
+    await emitSeatReleased(before.requester);
+    await emitSeatReleased(before.target);
+    await emitSeatReserved(after.requester);
+    await emitSeatReserved(after.target);
+    await cancelStaleSwapRequests([requester._id, target._id], '다른 교환이 완료되어 좌석이 변경됨');
+  }catch(e){
+    console.error('좌석 교환 수락 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 교환 요청 거절 API (상대 예약 비밀번호 검증)
+app.post('/api/swaps/:id/decline', limiter, async (req,res) => {
+  const {id} = req.params;
+  const {password} = req.body || {};
+  if(!password) return res.status(400).json({message:'예약 비밀번호를 입력해주세요.'});
+  if(typeof password !== 'string') return res.status(400).json({message:'입력 형식이 올바르지 않습니다.'});
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'교환 요청을 찾을 수 없습니다.'});
+
+  try{
+    const swap = await SeatSwapRequest.findOne({_id:id, status:'pending'});
+    if(!swap) return res.status(404).json({message:'교환 요청을 찾을 수 없습니다.'});
+    const target = await Reservation.findById(swap.target);
+    if(!target) return res.status(404).json({message:'교환 요청을 찾을 수 없습니다.'});
+    const auth = await attemptResidentPassword(req.ip, target, password);
+    if(auth.throttled) return sendThrottled(res, auth.throttled);
+    if(!auth.ok) return res.status(401).json({message:'예약 비밀번호가 일치하지 않습니다.'});
+    if(!await closeSwapRequest(swap._id, 'declined', '상대방이 거절함')) return res.status(404).json({message:'교환 요청을 찾을 수 없습니다.'});
+    console.log(`좌석 교환 거절: ${target.name} (${target.roomNo}), 요청: ${swap._id}, IP: ${req.ip}`);
+    await writeAuditLog(req, {actorName:`${target.name} (${target.roomNo})`, action:'swap.decline', reservation:target, target:String(swap._id)});
+    res.json({success:true, message:'교환 요청을 거절했습니다.'});
+  }catch(e){
+    console.error('좌석 교환 거절 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 교환 요청 취소 API (요청자 예약 비밀번호 검증)
+app.delete('/api/swaps/:id', limiter, async (req,res) => {
+  const {id} = req.params;
+  const {password} = req.body || {};
+  if(!password) return res.status(400).json({message:'예약 비밀번호를 입력해주세요.'});
+  if(typeof password !== 'string') return res.status(400).json({message:'입력 형식이 올바르지 않습니다.'});
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'교환 요청을 찾을 수 없습니다.'});
+
+  try{
+    const swap = await SeatSwapRequest.findOne({_id:id, status:'pending'});
+    if(!swap) return res.status(404).json({message:'교환 요청을 찾을 수 없습니다.'});
+    const requester = await Reservation.findById(swap.requester);
+    if(!requester) return res.status(404).json({message:'교환 요청을 찾을 수 없습니다.'});
+    const auth = await attemptResidentPassword(req.ip, requester, password);
+    if(auth.throttled) return sendThrottled(res, auth.throttled);
+    if(!auth.ok) return res.status(401).json({message:'예약 비밀번호가 일치하지 않습니다.'});
+    if(!await closeSwapRequest(swap._id, 'cancelled', '요청자가 취소함')) return res.status(404).json({message:'교환 요청을 찾을 수 없습니다.'});
+    console.log(`좌석 교환 요청 취소: ${requester.name} (${requester.roomNo}), 요청: ${swap._id}, IP: ${req.ip}`);
+    await writeAuditLog(req, {actorName:`${requester.name} (${requester.roomNo})`, action:'swap.cancel', reservation:requester, target:String(swap._id)});
+    res.json({success:true, message:'교환 요청이 취소되었습니다.'});
+  }catch(e){
+    console.error('좌석 교환 요청 취소 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자용 교환 요청 목록 조회 API (status 필터, 기본: 대기 중 / 최신순 최대 200건)
+app.get('/api/admin/swaps', requireAdmin(), async (req,res) => {
+  const status = req.query.status || 'pending';
+  if(!SWAP_STATUSES.includes(status)) return res.status(400).json({message:'올바르지 않은 상태입니다.'});
+
+  try{
+    const swaps = await SeatSwapRequest.find({status})
+      .populate('requester', 'roomNo name').populate('target', 'roomNo name')
+      .sort({createdAt:-1}).limit(200).lean();
+    res.json(swaps);
+  }catch(e){
+    console.error('교환 요청 목록 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 점유율 통계 조회 API (dormitory, floor, from, to, bucketMinutes 지정 가능)
+app.get('/api/admin/stats/occupancy', requireAdmin(), async (req,res) => {
+  const {dormitory, floor} = req.query;
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+  const bucketMinutes = req.query.bucketMinutes ? parseInt(req.query.bucketMinutes) : 1;
+  if((from && isNaN(from)) || (to && isNaN(to))) return res.status(400).json({message:'날짜 형식이 올바르지 않습니다.'});
+  if(from && to && to <= from) return res.status(400).json({message:'종료 시간은 시작 시간 이후여야 합니다.'});
+  if(!Number.isInteger(bucketMinutes) || bucketMinutes < 1) return res.status(400).json({message:'bucketMinutes는 1 이상의 정수여야 합니다.'});
+
+  try{
+    const stats = await getOccupancyStats({dormitory, floor, from, to, bucketMinutes});
+    if(stats.error) return res.status(400).json({message:stats.error});
+    res.json(stats);
+  }catch(e){
+    console.error('점유율 통계 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 인증 잠금 현황 조회 API (scope, kind 필터 / status=locked이면 현재 잠긴 기록만, 기본: 실패 기록이 있거나 잠긴 기록 / 운영자 이상)
+app.get('/api/admin/lockouts', requireAdmin('operator'), async (req,res) => {
+  const {scope, kind, status} = req.query;
+  if(scope && !AUTH_SCOPES.includes(scope)) return res.status(400).json({message:'올바르지 않은 범위입니다.'});
+
+  try{
+    const now = new Date();
+    const filter = status === 'locked' ? {lockedUntil:{$gt:now}} : {$or:[{lockedUntil:{$gt:now}}, {failures:{$gt:0}}]};
+    if(scope) filter.scope = scope;
+    if(['pair','target','ip'].includes(kind)) filter.kind = kind;
+    const records = await AuthFailure.find(filter).sort({lastFailureAt:-1}).limit(200).lean();
+    res.json(records.map(r => ({...r, locked:!!r.lockedUntil && r.lockedUntil > now})));
+  }catch(e){
+    console.error('인증 잠금 현황 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 인증 잠금 해제 API (실패 횟수, 잠금 횟수까지 초기화 / 최고 관리자 전용)
+app.delete('/api/admin/lockouts/:id', requireAdmin('superadmin'), async (req,res) => {
+  const {id} = req.params;
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'잠금 기록을 찾을 수 없습니다.'});
+
+  try{
+    const record = await AuthFailure.findByIdAndDelete(id);
+    if(!record) return res.status(404).json({message:'잠금 기록을 찾을 수 없습니다.'});
+    console.log(`관리자(${req.admin.username}) 인증 잠금 해제: ${AUTH_SCOPE_LABELS[record.scope]} ${record.kind} ${record.label || record.key}. IP: ${req.ip}`);
+    await writeAuditLog(req, {
+      action:'security.lockout_clear', target:`${record.scope}:${record.kind}:${record.key}`,
+      before:{label:record.label, failures:record.failures, lockCount:record.lockCount, lockedUntil:record.lockedUntil}
+    });
+    res.json({success:true, message:'잠금이 해제되었습니다.'});
+  }catch(e){
+    console.error('인증 잠금 해제 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 인증 잠금 일괄 해제 API (현재 잠긴 기록 전체, scope 지정 시 해당 범위만 / 최고 관리자 전용)
+app.delete('/api/admin/lockouts', requireAdmin('superadmin'), async (req,res) => {
+  const {scope} = req.query;
+  if(scope && !AUTH_SCOPES.includes(scope)) return res.status(400).json({message:'올바르지 않은 범위입니다.'});
+
+  try{
+    const filter = {lockedUntil:{$gt:new Date()}};
+    if(scope) filter.scope = scope;
+    const result = await AuthFailure.deleteMany(filter);
+    console.log(`관리자(${req.admin.username}) 인증 잠금 일괄 해제: ${scope ? AUTH_SCOPE_LABELS[scope] : '전체'} ${result.deletedCount}건. IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'security.lockout_clear_all', target:scope || '', after:{cleared:result.deletedCount}});
+    res.json({success:true, message:'잠금이 해제되었습니다.', cleared:result.deletedCount});
+  }catch(e){
+    console.error('인증 잠금 일괄 해제 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 자습 시간 일정 조회 API (다음 회차 포함)
+app.get('/api/study-sessions', async (req,res) => {
+  try{
+    const sessions = await StudySession.find({}).sort({startTime:1}).lean();
+    res.json(sessions.map(s => {
+      const {_id, name, scope, dormitory, floor, recurrence} = s;
+      return {_id, name, scope, dormitory, floor, recurrence, next:getWindowOccurrence(s)};
+    }));
+  }catch(e){
+    console.error('자습 시간 일정 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자용 자습 시간 일정 목록 조회 API
+app.get('/api/admin/study-sessions', requireAdmin(), async (req,res) => {
+  try{
+    res.json(await StudySession.find({}).sort({startTime:1}));
+  }catch(e){
+    console.error('자습 시간 일정 목록 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 자습 시간 일정 생성 API (예약 기간과 같은 형식: name, scope, dormitory, floor, startTime, endTime, recurrence, recurrenceUntil / 운영자 이상)
+app.post('/api/admin/study-sessions', requireAdmin('operator'), async (req,res) => {
+  const normalized = normalizeWindowInput(req.body || {});
+  if(normalized.error) return res.status(400).json({message:normalized.error});
+
+  try{
+    const {actions, ...data} = normalized.data; // 자습 일정에는 허용 동작이 없음
+    const session = await StudySession.create({...data, updatedBy:req.admin.username});
+    console.log(`관리자(${req.admin.username}) 자습 시간 일정 생성: ${session.name} (${session.scope} ${session.dormitory || ''} ${session.floor || ''}), 반복: ${session.recurrence}. IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'study_session.create', target:String(session._id), after:session.toObject()});
+    res.json({success:true, message:'자습 시간 일정이 생성되었습니다.', session});
+  }catch(e){
+    console.error('자습 시간 일정 생성 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 자습 시간 일정 수정 API (수정 전에 끝난 회차는 결석 처리하지 않음 / 운영자 이상)
+app.put('/api/admin/study-sessions/:id', requireAdmin('operator'), async (req,res) => {
+  const {id} = req.params;
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'자습 시간 일정을 찾을 수 없습니다.'});
+
+  try{
+    const session = await StudySession.findById(id);
+    if(!session) return res.status(404).json({message:'자습 시간 일정을 찾을 수 없습니다.'});
+    const before = session.toObject();
+    const normalized = normalizeWindowInput(req.body || {}, before);
+    if(normalized.error) return res.status(400).json({message:normalized.error});
+    const {actions, ...data} = normalized.data;
+    const now = new Date();
+    session.set({...data, lastProcessedEnd:now, updatedBy:req.admin.username, updatedAt:now});
+    await session.save();
+    console.log(`관리자(${req.admin.username}) 자습 시간 일정 수정: ${session.name} (${session._id}). IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'study_session.update', target:String(session._id), before, after:session.toObject()});
+    res.json({success:true, message:'자습 시간 일정이 수정되었습니다.', session});
+  }catch(e){
+    console.error('자습 시간 일정 수정 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 자습 시간 일정 삭제 API (출석 기록은 유지 / 운영자 이상)
+app.delete('/api/admin/study-sessions/:id', requireAdmin('operator'), async (req,res) => {
+  const {id} = req.params;
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'자습 시간 일정을 찾을 수 없습니다.'});
+
+  try{
+    const session = await StudySession.findByIdAndDelete(id);
+    if(!session) return res.status(404).json({message:'자습 시간 일정을 찾을 수 없습니다.'});
+    console.log(`관리자(${req.admin.username}) 자습 시간 일정 삭제: ${session.name} (${session._id}). IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'study_session.delete', target:String(session._id), before:session.toObject()});
+    res.json({success:true, message:'자습 시간 일정이 삭제되었습니다.'});
+  }catch(e){
+    console.error('자습 시간 일정 삭제 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 출석 정책 조회 API
+app.get('/api/admin/attendance-policy', requireAdmin(), async (req,res) => {
+  try{
+    res.json(await getAttendancePolicy());
+  }catch(e){
+    console.error('출석 정책 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 출석 정책 저장 API ({enabled, maxMissed, consecutive} / 좌석 자동 해제에 영향을 주므로 최고 관리자 전용)
+app.put('/api/admin/attendance-policy', requireAdmin('superadmin'), async (req,res) => {
+  const {enabled, maxMissed, consecutive} = req.body || {};
+  const update = {updatedBy:req.admin.username, updatedAt:new Date()};
+  if(enabled !== undefined) update.enabled = !!enabled;
+  if(consecutive !== undefined) update.consecutive = !!consecutive;
+  if(maxMissed !== undefined){
+    update.maxMissed = parseInt(maxMissed);
+    if(!Number.isInteger(update.maxMissed) || update.maxMissed < 1) return res.status(400).json({message:'결석 기준 횟수는 1 이상의 정수여야 합니다.'});
+  }
+
+  try{
+    const before = await getAttendancePolicy();
+    const policy = await AttendancePolicy.findOneAndUpdate({key:ATTENDANCE_POLICY_KEY}, update, {new:true, upsert:true});
+    console.log(`관리자(${req.admin.username}) 출석 정책 변경: 자동 해제 ${policy.enabled}, ${policy.consecutive ? '연속' : '누적'} 결석 ${policy.maxMissed}회. IP: ${req.ip}`);
+    await writeAuditLog(req, {
+      action:'attendance.policy_update',
+      before:{enabled:before.enabled, maxMissed:before.maxMissed, consecutive:before.consecutive},
+      after:{enabled:policy.enabled, maxMissed:policy.maxMissed, consecutive:policy.consecutive}
+    });
+    res.json({success:true, message:'출석 정책이 저장되었습니다.', policy});
+  }catch(e){
+    console.error('출석 정책 저장 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 출석 체크인 API (호실+이름+비밀번호 / 진행 중인 자습 회차에 출석 기록)
+app.post('/api/attendance/check-in', checkInLimiter, async (req,res) => {
+  const {roomNo, name, password} = req.body || {};
+  if(!roomNo || !name || !password) return res.status(400).json({message:'모든 정보가 필요합니다.'});
+  if(typeof password !== 'string') return res.status(400).json({message:'입력 형식이 올바르지 않습니다.'});
+
+  try{
+    const resv = await Reservation.findOne({roomNo:String(roomNo).trim(), name:String(name).trim()});
+    if(!resv) return res.status(404).json({message:'예약 내역이 없습니다.'});
+    const auth = await attemptResidentPassword(req.ip, resv, password);
+    if(auth.throttled) return sendThrottled(res, auth.throttled);
+    if(!auth.ok) return res.status(401).json({message:'비밀번호가 일치하지 않습니다.'});
+    const current = await findCheckInSession(resv);
+    if(!current) return res.status(403).json({message:'지금은 출석 체크 시간이 아닙니다.'});
+    const record = await recordCheckIn(resv, current, {method:'resident'});
+    if(!record) return res.status(409).json({message:'이미 출석 체크했습니다.'});
+    console.log(`출석 체크인: ${resv.name} (${resv.roomNo}), 좌석: ${resv.dormitory} ${resv.floor}-${resv.seat}, IP: ${req.ip}`);
+    await writeAuditLog(req, {actorName:`${resv.name} (${resv.roomNo})`, action:'attendance.check_in', reservation:resv, after:record});
+    res.json({success:true, message:'출석 체크 완료', record});
+  }catch(e){
+    console.error('출석 체크인 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자/키오스크 출석 체크인 API ({reservationId} 또는 {dormitory, floor, seat} / 운영자 이상)
+// 예약 비밀번호를 쓰지 않으므로 예약자 인증이 잠긴 동안에도 체크인 가능
+app.post('/api/admin/attendance/check-in', requireAdmin('operator'), async (req,res) => {
+  const {reservationId, dormitory, floor, seat} = req.body || {};
+  let filter;
+  if(reservationId){
+    if(!mongoose.isValidObjectId(reservationId)) return res.status(404).json({message:'예약을 찾을 수 없습니다.'});
+    filter = {_id:reservationId};
+  } else if(dormitory && floor && seat !== undefined){
+    filter = {dormitory:String(dormitory), floor:String(floor), seat:Number(seat)};
+  } else {
+    return res.status(400).json({message:'예약 ID 또는 좌석 정보가 필요합니다.'});
+  }
+
+  try{
+    const resv = await Reservation.findOne(filter);
+    if(!resv) return res.status(404).json({message:'예약을 찾을 수 없습니다.'});
+    const current = await findCheckInSession(resv);
+    if(!current) return res.status(403).json({message:'지금은 출석 체크 시간이 아닙니다.'});
+    const record = await recordCheckIn(resv, current, {method:'admin', recordedBy:req.admin.username});
+    if(!record) return res.status(409).json({message:'이미 출석 체크했습니다.'});
+    console.log(`관리자(${req.admin.username}) 출석 체크인: ${resv.name} (${resv.roomNo}). IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'attendance.check_in', reservation:resv, after:record});
+    res.json({success:true, message:'출석 체크 완료', record});
+  }catch(e){
+    console.error('관리자 출석 체크인 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 예약별 출석 이력 조회 API (해제된 예약도 조회 가능 / 최신 회차부터)
+app.get('/api/admin/attendance/:reservationId', requireAdmin(), async (req,res) => {
+  const {reservationId} = req.params;
+  if(!mongoose.isValidObjectId(reservationId)) return res.status(404).json({message:'예약을 찾을 수 없습니다.'});
+
+  try{
+    const records = await AttendanceRecord.find({reservation:reservationId}).populate('studySession', 'name').sort({sessionStart:-1}).lean();
+    const summary = {present:0, absent:0, excused:0};
+    for(const r of records) summary[r.status]++;
+    summary.missed = await countMissedSessions(reservationId, await getAttendancePolicy()); // 정책 기준 결석 횟수
+    res.json({reservation:reservationId, summary, records});
+  }catch(e){
+    console.error('출석 이력 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 출석 기록 수정 API ({status}: present, absent, excused / 운영자 이상)
+app.put('/api/admin/attendance/records/:id', requireAdmin('operator'), async (req,res) => {
+  const {id} = req.params;
+  const {status} = req.body || {};
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'출석 기록을 찾을 수 없습니다.'});
+  if(!ATTENDANCE_STATUSES.includes(status)) return res.status(400).json({message:'올바르지 않은 출석 상태입니다.'});
+
+  try{
+    const record = await AttendanceRecord.findById(id);
+    if(!record) return res.status(404).json({message:'출석 기록을 찾을 수 없습니다.'});
+    const before = {status:record.status};
+    record.set({status, recordedBy:req.admin.username, updatedAt:new Date()});
+    await record.save();
+    console.log(`관리자(${req.admin.username}) 출석 기록 수정: ${record.name} (${record.roomNo}) ${record.sessionStart.toISOString()} ${before.status} -> ${status}. IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'attendance.update', reservation:record.reservation, target:String(record._id), before, after:{status}});
+    res.json({success:true, message:'출석 기록이 수정되었습니다.', record});
+  }catch(e){
+    console.error('출석 기록 수정 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자 예약 가능 시간 조회 API (기존 단일 설정 호환: 전체 범위 기본 예약 기간)
+app.get('/api/admin-settings', async (req,res) => {
+  try{
+    res.json(await getLegacySettings());
+  }catch(e){
+    console.error('관리자 설정 조회 실패:', e);
+    res.status(500).json({message:"서버 오류"});
+  }
+});
+
+// 관리자 예약 가능 시간 저장 API (기존 단일 설정 호환: 전체 범위 기본 예약 기간 수정 / 운영자 이상)
+app.put('/api/admin-settings', requireAdmin('operator'), async (req,res) => {
+  const { reservationStartTime, reservationEndTime } = req.body || {};
+  const adminUsername = req.admin.username;
+  const clientIp = req.ip;
+  const startTime = reservationStartTime ? new Date(reservationStartTime) : null;
+  const endTime = reservationEndTime ? new Date(reservationEndTime) : null;
+  if((startTime && isNaN(startTime)) || (endTime && isNaN(endTime)) || (startTime && endTime && endTime <= startTime))
+    return res.status(400).json({message:'예약 가능 시간을 올바르게 입력해주세요.'});
+
+  try{
+    const before = await getLegacySettings();
+    await ReservationWindow.findOneAndUpdate(
+      {key:LEGACY_WINDOW_KEY},
+      {$set:{startTime, endTime, updatedBy:adminUsername, updatedAt:new Date()}, $setOnInsert:{name:'기본 예약 기간', scope:'all'}},
+      {upsert:true} // 없으면 새로 생성, 있으면 업데이트
+    );
+    const settings = await getLegacySettings();
+    console.log(`관리자(${adminUsername}) 예약 가능 시간 설정됨: ${reservationStartTime} ~ ${reservationEndTime}. IP: ${clientIp}`);
+    await writeAuditLog(req, {action:'settings.update', target:LEGACY_WINDOW_KEY, before, after:settings});
+    io.emit('settingsUpdated', settings); // 실시간 업데이트 알림
+    await broadcastSchedule();
+    res.json({success:true, message:'예약 가능 시간이 설정되었습니다.', settings});
+  }catch(e){
+    console.error('관리자 예약 시간 설정 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 예약 기간 일정 조회 API (현재 진행 중 + 예정된 기간, 공개)
+app.get('/api/schedule', async (req,res) => {
+  try{
+    res.json(await getSchedule());
+  }catch(e){
+    console.error('예약 기간 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 예약 기간 전체 목록 조회 API (지난 기간 포함, 관리자)
+app.get('/api/admin/schedule', requireAdmin(), async (req,res) => {
+  try{
+    res.json(await ReservationWindow.find({}).sort({startTime:1}));
+  }catch(e){
+    console.error('예약 기간 목록 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 예약 기간 생성 API (운영자 이상)
+app.post('/api/admin/schedule', requireAdmin('operator'), async (req,res) => {
+  const normalized = normalizeWindowInput(req.body || {});
+  if(normalized.error) return res.status(400).json({message:normalized.error});
+
+  try{
+    const window = await ReservationWindow.create({...normalized.data, updatedBy:req.admin.username});
+    console.log(`관리자(${req.admin.username}) 예약 기간 생성: ${window.name} (${window.scope} ${window.dormitory || ''} ${window.floor || ''}) ${window.startTime.toISOString()} ~ ${window.endTime.toISOString()}, 반복: ${window.recurrence}. IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'schedule.create', target:String(window._id), after:window.toObject()});
+    await broadcastSchedule(); // 실시간 업데이트 알림
+    res.json({success:true, message:'예약 기간이 생성되었습니다.', window});
+  }catch(e){
+    console.error('예약 기간 생성 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 예약 기간 수정 API (운영자 이상)
+app.put('/api/admin/schedule/:id', requireAdmin('operator'), async (req,res) => {
+  const {id} = req.params;
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'예약 기간을 찾을 수 없습니다.'});
+
+  try{
+    const window = await ReservationWindow.findById(id);
+    if(!window) return res.status(404).json({message:'예약 기간을 찾을 수 없습니다.'});
+    const before = window.toObject();
+    const normalized = normalizeWindowInput(req.body || {}, before);
+    if(normalized.error) return res.status(400).json({message:normalized.error});
+    window.set({...normalized.data, updatedBy:req.admin.username, updatedAt:new Date()});
+    await window.save();
+    console.log(`관리자(${req.admin.username}) 예약 기간 수정: ${window.name} (${window._id}). IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'schedule.update', target:String(window._id), before, after:window.toObject()});
+    if(window.key === LEGACY_WINDOW_KEY) io.emit('settingsUpdated', await getLegacySettings());
+    await broadcastSchedule(); // 실시간 업데이트 알림
+    res.json({success:true, message:'예약 기간이 수정되었습니다.', window});
+  }catch(e){
+    console.error('예약 기간 수정 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 예약 기간 삭제 API (운영자 이상)
+app.delete('/api/admin/schedule/:id', requireAdmin('operator'), async (req,res) => {
+  const {id} = req.params;
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'예약 기간을 찾을 수 없습니다.'});
+
+  try{
+    const window = await ReservationWindow.findByIdAndDelete(id);
+    if(!window) return res.status(404).json({message:'예약 기간을 찾을 수 없습니다.'});
+    console.log(`관리자(${req.admin.username}) 예약 기간 삭제: ${window.name} (${window._id}). IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'schedule.delete', target:String(window._id), before:window.toObject()});
+    if(window.key === LEGACY_WINDOW_KEY) io.emit('settingsUpdated', await getLegacySettings());
+    await broadcastSchedule(); // 실시간 업데이트 알림
+    res.json({success:true, message:'예약 기간이 삭제되었습니다.'});
+  }catch(e){
+    console.error('예약 기간 삭제 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 일반 공지사항 조회 API (기존 단일 공지 호환)
+app.get('/api/announcement', async (req,res) => {
+  try{
+    res.json(toLegacyAnnouncement(await Notice.findOne({key:LEGACY_NOTICE_KEY}).lean()));
+  }catch(e){
+    console.error('공지사항 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 일반 공지사항 저장 API (기존 단일 공지 호환: 수정 이력 보관 / 운영자 이상)
+app.put('/api/announcement', requireAdmin('operator'), async (req,res) => {
+  const {message, active} = req.body || {};
+  const adminUsername = req.admin.username;
+  const clientIp = req.ip;
+
+  try{
+    let notice = await Notice.findOne({key:LEGACY_NOTICE_KEY});
+    const before = notice ? {message:notice.message, active:notice.active} : null;
+    if(!notice){
+      notice = new Notice({key:LEGACY_NOTICE_KEY, title:'공지사항', message:message || '', active:!!active, createdBy:adminUsername, updatedBy:adminUsername});
+    } else {
+      applyNoticeEdit(notice, {message:message || '', active:!!active}, adminUsername);
+    }
+    await notice.save();
+    console.log(`관리자(${adminUsername}) 일반 공지사항 변경. 활성: ${active}, 내용: ${message}. IP: ${clientIp}`);
+    await writeAuditLog(req, {action:'announcement.update', target:String(notice._id), before, after:{message:notice.message, active:notice.active}});
+    io.emit('announcementUpdated', toLegacyAnnouncement(notice)); // 실시간 업데이트 알림
+    await syncNotices();
+    res.json({success:true, message:'공지사항이 저장되었습니다.'});
+  }catch(e){
+    console.error('공지사항 저장 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 게시 중인 공지 목록 조회 API (dormitory, floor를 지정하면 해당 기숙사/층 대상 공지 포함)
+app.get('/api/announcements', async (req,res) => {
+  try{
+    const subscription = {};
+    if(req.query.dormitory) subscription.dormitory = String(req.query.dormitory);
+    if(req.query.dormitory && req.query.floor) subscription.floor = String(req.query.floor);
+    res.json(await getLiveNotices(subscription));
+  }catch(e){
+    console.error('공지 목록 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자용 공지 전체 목록 조회 API (예약/종료된 공지 포함, 이력 제외)
+app.get('/api/admin/announcements', requireAdmin(), async (req,res) => {
+  try{
+    res.json(await Notice.find({}).select('-history').sort({createdAt:-1}).lean());
+  }catch(e){
+    console.error('관리자 공지 목록 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 공지 수정 이력 조회 API
+app.get('/api/admin/announcements/:id/history', requireAdmin(), async (req,res) => {
+  const {id} = req.params;
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'공지를 찾을 수 없습니다.'});
+  try{
+    const notice = await Notice.findById(id).lean();
+    if(!notice) return res.status(404).json({message:'공지를 찾을 수 없습니다.'});
+    const current = {version:notice.version, editedBy:notice.updatedBy, editedAt:notice.updatedAt};
+    for(const field of NOTICE_CONTENT_FIELDS) current[field] = notice[field];
+    res.json({_id:notice._id, versions:[...notice.history, current].reverse()}); // 최신 버전부터
+  }catch(e){
+    console.error('공지 이력 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 공지 생성 API (운영자 이상)
+app.post('/api/admin/announcements', requireAdmin('operator'), async (req,res) => {
+  const normalized = normalizeNoticeInput(req.body || {});
+  if(normalized.error) return res.status(400).json({message:normalized.error});
+
+  try{
+    const notice = await Notice.create({...normalized.data, createdBy:req.admin.username, updatedBy:req.admin.username});
+    console.log(`관리자(${req.admin.username}) 공지 생성: ${notice.title || notice.message.slice(0, 20)} (${notice.audience} ${notice.dormitory || ''} ${notice.floor || ''}). IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'notice.create', target:String(notice._id), after:toPublicNotice(notice)});
+    await syncNotices(); // 게시 중이면 대상 클라이언트에 바로 전송
+    res.json({success:true, message:'공지가 생성되었습니다.', announcement:notice});
+  }catch(e){
+    console.error('공지 생성 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 공지 수정 API (이전 버전은 이력에 보관 / 운영자 이상)
+app.put('/api/admin/announcements/:id', requireAdmin('operator'), async (req,res) => {
+  const {id} = req.params;
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'공지를 찾을 수 없습니다.'});
+
+  try{
+    const notice = await Notice.findById(id);
+    if(!notice) return res.status(404).json({message:'공지를 찾을 수 없습니다.'});
+    const before = toPublicNotice(notice);
+    const existing = {};
+    for(const field of NOTICE_CONTENT_FIELDS) existing[field] = notice[field];
+    const normalized = normalizeNoticeInput(req.body || {}, existing);
+    if(normalized.error) return res.status(400).json({message:normalized.error});
+    applyNoticeEdit(notice, normalized.data, req.admin.username);
+    await notice.save();
+    console.log(`관리자(${req.admin.username}) 공지 수정: ${notice._id} (버전 ${notice.version}). IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'notice.update', target:String(notice._id), before, after:toPublicNotice(notice)});
+    if(notice.key === LEGACY_NOTICE_KEY) io.emit('announcementUpdated', toLegacyAnnouncement(notice));
+    await syncNotices(); // 대상 클라이언트에 변경/종료 전송
+    res.json({success:true, message:'공지가 수정되었습니다.', announcement:notice});
+  }catch(e){
+    console.error('공지 수정 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 공지 삭제 API (운영자 이상)
+app.delete('/api/admin/announcements/:id', requireAdmin('operator'), async (req,res) => {
+  const {id} = req.params;
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'공지를 찾을 수 없습니다.'});
+
+  try{
+    const notice = await Notice.findByIdAndDelete(id);
+    if(!notice) return res.status(404).json({message:'공지를 찾을 수 없습니다.'});
+    console.log(`관리자(${req.admin.username}) 공지 삭제: ${notice._id}. IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'notice.delete', target:String(notice._id), before:toPublicNotice(notice)});
+    if(notice.key === LEGACY_NOTICE_KEY) io.emit('announcementUpdated', toLegacyAnnouncement(null));
+    await syncNotices(); // 대상 클라이언트에 종료 전송
+    res.json({success:true, message:'공지가 삭제되었습니다.'});
+  }catch(e){
+    console.error('공지 삭제 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자 전용 공지사항 조회 API (관리자 로그인 필요)
+app.get('/api/admin-announcement', requireAdmin(), async (req,res) => {
+  try{
+    let announcement = await AdminOnlyAnnouncement.findOne({key:'adminOnlyAnnouncement'});
+    if(!announcement){
+      announcement = new AdminOnlyAnnouncement({key:'adminOnlyAnnouncement'});
+      await announcement.save();
+    }
+    res.json(announcement);
+  }catch(e){
+    console.error('관리자 전용 공지사항 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자 전용 공지사항 저장 API (운영자 이상)
+app.put('/api/admin-announcement', requireAdmin('operator'), async (req,res) => {
+  const {message, active} = req.body || {};
+  const adminUsername = req.admin.username;
+  const clientIp = req.ip;
+
+  try{
+    const before = await AdminOnlyAnnouncement.findOne({key:'adminOnlyAnnouncement'}).select('-_id message active').lean();
+    const announcement = await AdminOnlyAnnouncement.findOneAndUpdate(
+      {key:'adminOnlyAnnouncement'},
+      {message, active, updatedAt: new Date()},
+      {new:true, upsert:true}
+    );
+    console.log(`관리자(${adminUsername}) 관리자 전용 공지사항 변경. 활성: ${active}, 내용: ${message}. IP: ${clientIp}`);
+    await writeAuditLog(req, {action:'admin_announcement.update', before, after:{message:announcement.message, active:announcement.active}});
+    adminIo.emit('adminAnnouncementUpdated', announcement); // 관리자에게만 실시간 업데이트 알림
+    res.json({success:true, message:'관리자 전용 공지사항이 저장되었습니다.'});
+  }catch(e){
+    console.error('관리자 전용 공지사항 저장 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자용 예약 내보내기 API (format=csv|json, dormitory, floor 필터 / 기숙사 -> 층 -> 좌석 순)
+// json은 기숙사/층별로 묶어서, csv는 정렬된 한 표로 내보냄
+const RESERVATION_CSV_COLUMNS = [
+  {key:'dormitory', label:'기숙사'}, {key:'floor', label:'층'}, {key:'seat', label:'좌석'},
+  {key:'roomNo', label:'호실'}, {key:'name', label:'이름'}, {key:'createdAt', label:'예약 시간'}
+];
+app.get('/api/admin/reservations/export', requireAdmin(), async (req,res) => {
+  const format = req.query.format || 'csv';
+  if(!['csv','json'].includes(format)) return res.status(400).json({message:'format은 csv 또는 json이어야 합니다.'});
+
+  try{
+    const filter = {};
+    if(req.query.dormitory) filter.dormitory = String(req.query.dormitory);
+    if(req.query.floor) filter.floor = String(req.query.floor);
+    const reservations = await Reservation.find(filter).select(ADMIN_RESERVATION_FIELDS).sort({dormitory:1, floor:1, seat:1}).lean();
+    await writeAuditLog(req, {action:'reservation.export', after:{format, filter, count:reservations.length}});
+    const filename = `reservations-${new Date().toISOString().slice(0,10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if(format === 'csv'){
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(toCsv(reservations, RESERVATION_CSV_COLUMNS));
+    }
+    const grouped = [];
+    for(const r of reservations){
+      let dorm = grouped[grouped.length - 1];
+      if(!dorm || dorm.dormitory !== r.dormitory) grouped.push(dorm = {dormitory:r.dormitory, floors:[]});
+      let fl = dorm.floors[dorm.floors.length - 1];
+      if(!fl || fl.floor !== r.floor) dorm.floors.push(fl = {floor:r.floor, reservations:[]});
+      fl.reservations.push({seat:r.seat, roomNo:r.roomNo, name:r.name, createdAt:r.createdAt, _id:r._id});
+    }
+    res.json({exportedAt:new Date(), total:reservations.length, dormitories:grouped});
+  }catch(e){
+    console.error('예약 내보내기 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 관리자용 예약 가져오기 API ({csv} 또는 {entries}, dryRun, replace / 최고 관리자 전용)
+// - 모든 행을 일반 예약과 같은 규칙으로 검사하고, 한 행이라도 오류가 있으면 아무것도 저장하지 않음
+// - dryRun이 true이면 검사 결과만 반환 (기본값 true: 실제 저장은 dryRun:false를 명시해야 함)
+// - replace가 true이면 기존 예약을 스냅샷으로 저장한 뒤 전체 교체, 아니면 기존 예약에 추가
+// - 저장은 트랜잭션으로 한 번에 적용
+app.post('/api/admin/reservations/import', requireAdmin('superadmin'), async (req,res) => {
+  const body = req.body || {};
+  const dryRun = body.dryRun !== false;
+  const replace = !!body.replace;
+  let rows;
+  if(typeof body.csv === 'string'){
+    const parsed = csvToObjects(body.csv, RESERVATION_CSV_ALIASES);
+    if(parsed.error) return res.status(400).json({success:false, message:parsed.error});
+    rows = parsed.rows;
+  } else if(Array.isArray(body.entries)){
+    rows = body.entries.map((e, i) => ({...e, line:i + 1}));
+  } else {
+    return res.status(400).json({success:false, message:'csv 문자열 또는 entries 배열이 필요합니다.'});
+  }
+  if(rows.length === 0) return res.status(400).json({success:false, message:'가져올 예약이 없습니다.'});
+
+  const session = await mongoose.startSession();
+  let importAudit = null; // 기록된 가져오기 시작 감사 로그 (저장 실패 시 실패 기록에 사용)
+  try{
+    const {rows:valid, errors} = await validateImportRows(rows, {replace});
+    if(errors.length > 0 || dryRun){
+      return res.status(errors.length > 0 ? 400 : 200).json({
+        success:errors.length === 0, dryRun, replace, total:rows.length, valid:valid.length, errors
+      });
+    }
+    // 미리보기(dryRun)는 단독 서버에서도 가능, 저장은 트랜잭션 필요
+    if(transactionsSupported === false) return res.status(503).json({success:false, message:TRANSACTIONS_UNSUPPORTED_MESSAGE});
+
+    const docs = [];
+    for(const r of valid){
+      docs.push({
+        roomNo:r.roomNo, name:r.name, dormitory:r.dormitory, floor:r.floor, seat:r.seat,
+        password:await bcrypt.hash(r.password, 10) // insertMany는 저장 전 해싱 미들웨어를 거치지 않음
+      });
+    }
+    let snapshot = null;
+    if(replace){
+      snapshot = await createSnapshot({name:`가져오기 전 자동 백업 ${new Date().toISOString()}`, reason:'pre_import', createdBy:req.admin.username});
+    }
+    // 시작 기록(전체 교체는 삭제 전에 반드시 기록) -> 저장 완료 후 가져오기 기록, 저장이 취소되면 아래에서 실패 기록
+    // (통계의 대량 작업 목록에는 실제로 저장된 가져오기만 표시되도록 완료 기록은 커밋 이후에 남김)
+    const auditTarget = snapshot ? String(snapshot._id) : '';
+    const auditBefore = snapshot ? {count:snapshot.count} : null;
+    await writeAuditLog(req, {
+      action:'reservation.import_started', target:auditTarget,
+      before:auditBefore, after:{count:docs.length, replace}
+    }, {required:replace});
+    importAudit = {target:auditTarget, count:docs.length};
+    await session.withTransaction(async () => {
+      if(replace) await Reservation.deleteMany({}, {session});
+      await Reservation.insertMany(docs, {session});
+    });
+    importAudit = null; // 저장 완료 (이후 오류는 실패 기록 대상이 아님)
+    await writeAuditLog(req, {
+      action:'reservation.import', target:auditTarget,
+      before:auditBefore, after:{count:docs.length, replace}
+    });
+    console.warn(`[예약 가져오기] 관리자(${req.admin.username})가 예약 ${docs.length}건을 가져왔습니다.${replace ? ` (전체 교체, 백업: ${snapshot._id})` : ''} IP: ${req.ip}`);
+    await broadcastResync(); // 모든 클라이언트에 예약 목록 다시 받도록 알림
+    res.json({success:true, message:'예약을 가져왔습니다.', imported:docs.length, replace, snapshotId:snapshot ? snapshot._id : null});
+  }catch(e){
+    console.error('예약 가져오기 실패:', e);
+    if(importAudit){ // 트랜잭션이 취소되어 가져온 예약이 없음
+      await writeAuditLog(req, {
+        action:'reservation.import_failed', target:importAudit.target,
+        after:{count:importAudit.count, replace, imported:0, error:e.code === 11000 ? 'duplicate' : 'error'}
+      });
+    }
+    if(e.code === 11000) return res.status(409).json({success:false, message:'저장 중 중복된 예약이 발견되어 취소되었습니다. 다시 시도해주세요.'});
+    res.status(500).json({message:'서버 오류'});
+  }finally{
+    await session.endSession();
+  }
+});
+
+// 관리자용 예약 비밀번호 재설정 코드 발급 API (운영자 이상)
+// 기존에 발급된 코드는 폐기되고, 새 코드는 응답으로 한 번만 확인 가능
+app.post('/api/admin/reservations/:id/reset-code', requireAdmin('operator'), async (req,res) => {
+  const {id} = req.params;
+  const adminUsername = req.admin.username;
+  const clientIp = req.ip;
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({success:false, message:'예약을 찾을 수 없습니다.'});
+
+  try{
+    const reservation = await Reservation.findById(id).select('name roomNo');
+    if(!reservation) return res.status(404).json({success:false, message:'예약을 찾을 수 없습니다.'});
+    const code = generateResetCode();
+    const expiresAt = new Date(Date.now() + RESET_CODE_TTL_MS);
+    // 재설정 코드 발급은 반드시 기록 (기록 실패 시 발급하지 않음)
+    await writeAuditLog(req, {action:'reservation.reset_code_issue', reservation, after:{expiresAt}}, {required:true});
+    await PasswordResetCode.findOneAndUpdate(
+      {reservation:reservation._id},
+      {codeHash:hashResetCode(code), issuedBy:adminUsername, attempts:0, expiresAt, createdAt:new Date()},
+      {upsert:true}
+    );
+    console.log(`관리자(${adminUsername}) 예약(${reservation.name}, ${reservation.roomNo}) 비밀번호 재설정 코드 발급. IP: ${clientIp}`);
+    res.json({success:true, code, expiresAt});
+  }catch(e){
+    console.error('재설정 코드 발급 실패:', e);
+    res.status(500).json({success:false, message:'서버 오류'});
+  }
+});
+
+// 예약 비밀번호 재설정 API (예약자가 호실+이름+관리자에게 받은 재설정 코드로 새 비밀번호 설정)
+app.post('/api/reservations/reset-password', limiter, async (req,res) => {
+  const {roomNo, name, code, newPassword} = req.body || {};
+  const clientIp = req.ip;
+  if(!roomNo || !name || !code || !newPassword)
+    return res.status(400).json({success:false, message:'모든 정보가 필요합니다.'});
+  // 문자열만 허용 (객체를 넣으면 조회 조건으로 해석됨)
+  if([roomNo, name, code, newPassword].some(v => typeof v !== 'string'))
+    return res.status(400).json({success:false, message:'입력 형식이 올바르지 않습니다.'});
+  if(isWeakPassword(newPassword))
+    return res.status(400).json({success:false, message:'매우 단순한 비밀번호는 사용할 수 없습니다. 다른 비밀번호를 사용해주세요.'});
+
+  try{
+    const reservation = await Reservation.findOne({roomNo:roomNo.trim(), name:name.trim()});
+    const attempt = {target:reservation && reservation._id, ip:clientIp, label:reservation ? `${reservation.name} (${reservation.roomNo})` : ''};
+    const throttled = await reserveAuthAttempt('reset_code', attempt);
+    if(throttled) return sendThrottled(res, throttled);
+    const resetCode = reservation && await PasswordResetCode.findOne({reservation:reservation._id});
+    if(!resetCode || resetCode.expiresAt < new Date()){
+      await recordAuthFailure('reset_code', {ip:clientIp}); // 코드가 없는 예약자 정보로 반복 시도하는 IP 차단용
+      await releaseAuthAttempts('reset_code', attempt, ['pair','target']);
+      return res.status(400).json({success:false, message:'유효한 재설정 코드가 없습니다. 관리자에게 다시 요청해주세요.'});
+    }
+
+    // 처리 중 코드가 다시 발급되어도 새 코드에 영향이 없도록 코드 해시까지 조건으로 사용
+    const codeFilter = {reservation:reservation._id, codeHash:resetCode.codeHash};
+    if(!resetCodeMatches(code, resetCode.codeHash)){
+      await recordAuthFailure('reset_code', attempt);
+      // 동시에 틀린 요청도 모두 세도록 원자적으로 증가
+      const updated = await PasswordResetCode.findOneAndUpdate(codeFilter, {$inc:{attempts:1}}, {new:true});
+      const attempts = updated ? updated.attempts : RESET_CODE_MAX_ATTEMPTS; // 이미 폐기된 코드
+      if(attempts >= RESET_CODE_MAX_ATTEMPTS){
+        // 동시에 초과한 요청 중 실제로 폐기한 요청만 기록
+        if(updated && await PasswordResetCode.findOneAndDelete(codeFilter)){
+          console.log(`재설정 코드 폐기 (입력 실패 ${RESET_CODE_MAX_ATTEMPTS}회): ${reservation.name} (${reservation.roomNo}), IP: ${clientIp}`);
+          await writeAuditLog(req, {
+            actorName:`${reservation.name} (${reservation.roomNo})`, action:'reservation.reset_code_revoked', reservation,
+            after:{attempts}
+          }, {required:true});
+        }
+        return res.status(401).json({success:false, message:'재설정 코드 입력 횟수를 초과했습니다. 관리자에게 다시 요청해주세요.'});
+      }
+      await writeAuditLog(req, {
+        actorName:`${reservation.name} (${reservation.roomNo})`, action:'reservation.password_reset_failed', reservation,
+        after:{attempts}
+      }, {required:true});
+      return res.status(401).json({success:false, message:'재설정 코드가 일치하지 않습니다.'});
+    }
+
+    // 1회용: 먼저 코드를 삭제한 요청만 재설정 (동시에 같은 코드로 요청해도 한 번만 성공)
+    const claimed = await PasswordResetCode.findOneAndDelete({...codeFilter, expiresAt:{$gt:new Date()}});
+    if(!claimed){ // 다른 요청이 먼저 사용함
+      await releaseAuthAttempts('reset_code', attempt);
+      return res.status(400).json({success:false, message:'유효한 재설정 코드가 없습니다. 관리자에게 다시 요청해주세요.'});
+    }
+    // 재설정 코드 사용은 반드시 기록 (기록 실패 시 비밀번호를 변경하지 않음, 코드는 이미 폐기됨)
+    await writeAuditLog(req, {
+      actorName:`${reservation.name} (${reservation.roomNo})`, action:'reservation.password_reset', reservation,
+      after:{issuedBy:claimed.issuedBy}
+    }, {required:true});
+    await clearAuthFailures('reset_code', attempt);
+    reservation.password = newPassword;
+    await reservation.save();
+    console.log(`예약 비밀번호 재설정 성공: ${reservation.name} (${reservation.roomNo}), 코드 발급자: ${claimed.issuedBy}, IP: ${clientIp}`);
+    res.json({success:true, message:'비밀번호가 재설정되었습니다.'});
+  }catch(e){
+    console.error('예약 비밀번호 재설정 실패:', e);
+    res.status(500).json({success:false, message:'서버 오류'});
+  }
+});
+
+// 좌석 배치 조회 API (공개)
+app.get('/api/layout', async (req,res) => {
+  try{
+    res.json(await getLayout());
+  }catch(e){
+    console.error('좌석 배치 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 기숙사 생성 API (운영자 이상)
+app.post('/api/admin/dormitories', requireAdmin('operator'), async (req,res) => {
+  const {name} = req.body || {};
+  if(!name) return res.status(400).json({message:'기숙사 이름을 입력해주세요.'});
+  if(typeof name !== 'string') return res.status(400).json({message:'기숙사 이름은 문자열이어야 합니다.'});
+  const normalized = normalizeLayoutInput({label:req.body.label, order:req.body.order});
+  if(normalized.error) return res.status(400).json({message:normalized.error});
+
+  try{
+    const dormitory = await Dormitory.create({name, ...normalized.data});
+    console.log(`관리자(${req.admin.username}) 기숙사 생성: ${dormitory.name}. IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'layout.dormitory_create', target:dormitory.name, after:{label:dormitory.label, order:dormitory.order}});
+    await broadcastLayout(); // 실시간 업데이트 알림
+    res.json({success:true, message:'기숙사가 생성되었습니다.', dormitory});
+  }catch(e){
+    console.error('기숙사 생성 실패:', e);
+    if(e.code === 11000) return res.status(409).json({message:'이미 존재하는 기숙사입니다.'});
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 기숙사 수정 API (표시 이름, 순서만 변경 가능 / 운영자 이상)
+app.put('/api/admin/dormitories/:dormitory', requireAdmin('operator'), async (req,res) => {
+  const {dormitory} = req.params;
+  const {label, order} = req.body || {};
+  const normalized = normalizeLayoutInput({label, order});
+  if(normalized.error) return res.status(400).json({message:normalized.error});
+
+  try{
+    const update = {...normalized.data, updatedAt:new Date()};
+    const before = await Dormitory.findOneAndUpdate({name:dormitory}, update).lean();
+    if(!before) return res.status(404).json({message:'기숙사를 찾을 수 없습니다.'});
+    const updated = await Dormitory.findOne({name:dormitory});
+    console.log(`관리자(${req.admin.username}) 기숙사 수정: ${dormitory}. IP: ${req.ip}`);
+    await writeAuditLog(req, {
+      action:'layout.dormitory_update', target:dormitory,
+      before:{label:before.label, order:before.order}, after:{label:updated.label, order:updated.order}
+    });
+    await broadcastLayout(); // 실시간 업데이트 알림
+    res.json({success:true, message:'기숙사가 수정되었습니다.', dormitory:updated});
+  }catch(e){
+    console.error('기숙사 수정 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 기숙사 삭제 API (예약이 남아 있으면 삭제 불가 / 소속 층 배치도도 함께 삭제 / 운영자 이상)
+app.delete('/api/admin/dormitories/:dormitory', requireAdmin('operator'), async (req,res) => {
+  const {dormitory} = req.params;
+
+  try{
+    if(await Reservation.exists({dormitory}))
+      return res.status(409).json({message:'예약이 남아 있는 기숙사는 삭제할 수 없습니다.'});
+    const deleted = await Dormitory.findOneAndDelete({name:dormitory});
+    if(!deleted) return res.status(404).json({message:'기숙사를 찾을 수 없습니다.'});
+    await SeatMap.deleteMany({dormitory});
+    console.log(`관리자(${req.admin.username}) 기숙사 삭제: ${dormitory}. IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'layout.dormitory_delete', target:dormitory, before:{label:deleted.label, order:deleted.order}});
+    await broadcastLayout(); // 실시간 업데이트 알림
+    res.json({success:true, message:'기숙사가 삭제되었습니다.'});
+  }catch(e){
+    console.error('기숙사 삭제 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 층 좌석 배치도 조회 API (관리자)
+app.get('/api/admin/dormitories/:dormitory/floors/:floor', requireAdmin(), async (req,res) => {
+  const {dormitory, floor} = req.params;
+  try{
+    const seatMap = await SeatMap.findOne({dormitory, floor});
+    if(!seatMap) return res.status(404).json({message:'좌석 배치도를 찾을 수 없습니다.'});
+    res.json(seatMap);
+  }catch(e){
+    console.error('좌석 배치도 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 층 좌석 배치도 생성 API (운영자 이상)
+app.post('/api/admin/dormitories/:dormitory/floors', requireAdmin('operator'), async (req,res) => {
+  const {dormitory} = req.params;
+  const {floor, label, order, rows, cols, seats} = req.body || {};
+  if(!floor) return res.status(400).json({message:'층을 입력해주세요.'});
+  if(!['string','number'].includes(typeof floor)) return res.status(400).json({message:'층은 문자열 또는 숫자여야 합니다.'});
+  const normalized = normalizeLayoutInput({label, order, rows, cols, seats:seats || []});
+  if(normalized.error) return res.status(400).json({message:normalized.error});
+
+  try{
+    if(!await Dormitory.exists({name:dormitory})) return res.status(404).json({message:'기숙사를 찾을 수 없습니다.'});
+    const seatMap = await SeatMap.create({dormitory, floor:String(floor), ...normalized.data});
+    console.log(`관리자(${req.admin.username}) 좌석 배치도 생성: ${dormitory} ${seatMap.floor} (좌석 ${seatMap.seats.length}개). IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'layout.floor_create', target:`${dormitory} ${seatMap.floor}`, after:seatMap.toObject()});
+    await broadcastLayout(); // 실시간 업데이트 알림
+    res.json({success:true, message:'좌석 배치도가 생성되었습니다.', seatMap});
+  }catch(e){
+    console.error('좌석 배치도 생성 실패:', e);
+    if(e.code === 11000) return res.status(409).json({message:'이미 존재하는 층입니다.'});
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 층 좌석 배치도 수정 API (예약된 좌석은 목록에서 제거할 수 없음 / 운영자 이상)
+app.put('/api/admin/dormitories/:dormitory/floors/:floor', requireAdmin('operator'), async (req,res) => {
+  const {dormitory, floor} = req.params;
+  const {label, order, rows, cols, seats} = req.body || {};
+  const normalized = normalizeLayoutInput({label, order, rows, cols, seats});
+  if(normalized.error) return res.status(400).json({message:normalized.error});
+  const data = normalized.data;
+
+  try{
+    const seatMap = await SeatMap.findOne({dormitory, floor});
+    if(!seatMap) return res.status(404).json({message:'좌석 배치도를 찾을 수 없습니다.'});
+    const before = seatMap.toObject();
+    if(data.seats){
+      const remaining = new Set(data.seats.map(s => s.seat));
+      const reserved = await Reservation.find({dormitory, floor}).select('seat').lean();
+      const orphaned = reserved.map(r => r.seat).filter(seat => !remaining.has(seat));
+      if(orphaned.length > 0)
+        return res.status(409).json({message:`예약된 좌석은 삭제할 수 없습니다: ${orphaned.join(', ')}`});
+    }
+    seatMap.set(data);
+    seatMap.updatedAt = new Date();
+    await seatMap.save();
+    console.log(`관리자(${req.admin.username}) 좌석 배치도 수정: ${dormitory} ${floor}. IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'layout.floor_update', target:`${dormitory} ${floor}`, before, after:seatMap.toObject()});
+    await broadcastLayout(); // 실시간 업데이트 알림
+    res.json({success:true, message:'좌석 배치도가 수정되었습니다.', seatMap});
+  }catch(e){
+    console.error('좌석 배치도 수정 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 층 좌석 배치도 삭제 API (예약이 남아 있으면 삭제 불가 / 운영자 이상)
+app.delete('/api/admin/dormitories/:dormitory/floors/:floor', requireAdmin('operator'), async (req,res) => {
+  const {dormitory, floor} = req.params;
+
+  try{
+    if(await Reservation.exists({dormitory, floor}))
+      return res.status(409).json({message:'예약이 남아 있는 층은 삭제할 수 없습니다.'});
+    const deleted = await SeatMap.findOneAndDelete({dormitory, floor});
+    if(!deleted) return res.status(404).json({message:'좌석 배치도를 찾을 수 없습니다.'});
+    console.log(`관리자(${req.admin.username}) 좌석 배치도 삭제: ${dormitory} ${floor}. IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'layout.floor_delete', target:`${dormitory} ${floor}`, before:deleted.toObject()});
+    await broadcastLayout(); // 실시간 업데이트 알림
+    res.json({success:true, message:'좌석 배치도가 삭제되었습니다.'});
+  }catch(e){
+    console.error('좌석 배치도 삭제 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 입사생 명단 조회 API (dormitory, grade, name 필터)
+app.get('/api/admin/roster', requireAdmin(), async (req,res) => {
+  const {dormitory, grade, name} = req.query;
+  try{
+    const filter = {};
+    if(dormitory) filter.dormitory = String(dormitory);
+    if(grade) filter.grade = String(grade);
+    if(name) filter.name = {$regex:escapeRegex(String(name)), $options:'i'};
+    const entries = await RosterEntry.find(filter).sort({dormitory:1, roomNo:1, name:1}).lean();
+    res.json({total:entries.length, entries});
+  }catch(e){
+    console.error('입사생 명단 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 입사생 명단 비교 API (업로드할 명단과 현재 명단의 차이만 확인, 저장하지 않음 / 운영자 이상)
+app.post('/api/admin/roster/diff', requireAdmin('operator'), async (req,res) => {
+  const normalized = normalizeRosterInput(req.body || {});
+  if(normalized.errors) return res.status(400).json({success:false, message:'명단에 오류가 있습니다.', errors:normalized.errors});
+
+  try{
+    res.json({success:true, total:normalized.entries.length, ...await diffRoster(normalized.entries)});
+  }catch(e){
+    console.error('입사생 명단 비교 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 입사생 명단 교체 API (업로드한 명단으로 전체 교체, 트랜잭션으로 한 번에 적용 / 운영자 이상)
+// 이미 예약한 학생이 새 명단에서 빠져도 예약은 유지됨 (응답의 orphanedReservations로 확인)
+// 명단이 비면 명단 확인이 꺼지므로 빈 명단은 거부하고, 명단을 비우려면 {clear:true}를 명시해야 함
+app.put('/api/admin/roster', requireAdmin('operator'), requireTransactions, async (req,res) => {
+  const clear = (req.body || {}).clear === true;
+  const normalized = clear ? {entries:[]} : normalizeRosterInput(req.body || {});
+  if(normalized.errors) return res.status(400).json({success:false, message:'명단에 오류가 있습니다.', errors:normalized.errors});
+  if(!clear && normalized.entries.length === 0)
+    return res.status(400).json({success:false, message:'명단이 비어 있습니다. 명단을 비우려면 clear:true를 지정해주세요.'});
+
+  const session = await mongoose.startSession();
+  try{
+    const diff = await diffRoster(normalized.entries);
+    const now = new Date();
+    await session.withTransaction(async () => {
+      await RosterEntry.deleteMany({}, {session});
+      if(normalized.entries.length > 0)
+        await RosterEntry.insertMany(normalized.entries.map(e => ({...e, updatedAt:now})), {session});
+    });
+    const orphaned = diff.removed.length > 0
+      ? await Reservation.countDocuments({$or:diff.removed.map(e => ({roomNo:e.roomNo, name:e.name}))})
+      : 0;
+    if(clear) console.warn(`[명단 확인 해제] 관리자(${req.admin.username})가 입사생 명단 ${diff.removed.length}명을 모두 삭제했습니다. IP: ${req.ip}`);
+    else console.log(`관리자(${req.admin.username}) 입사생 명단 교체: ${normalized.entries.length}명 (추가 ${diff.added.length}, 삭제 ${diff.removed.length}, 변경 ${diff.changed.length}). IP: ${req.ip}`);
+    await writeAuditLog(req, {
+      action:clear ? 'roster.clear' : 'roster.replace',
+      before:{removed:diff.removed.length},
+      after:{total:normalized.entries.length, added:diff.added.length, changed:diff.changed.length}
+    });
+    res.json({
+      success:true, message:clear ? '입사생 명단을 비웠습니다. 명단 확인 없이 예약할 수 있습니다.' : '입사생 명단이 저장되었습니다.', total:normalized.entries.length,
+      added:diff.added.length, removed:diff.removed.length, changed:diff.changed.length, orphanedReservations:orphaned
+    });
+  }catch(e){
+    console.error('입사생 명단 교체 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }finally{
+    await session.endSession();
+  }
+});
+
+// 미예약 학생 조회 API (명단에 있지만 아직 예약하지 않은 학생 / dormitory, grade 필터)
+app.get('/api/admin/roster/unreserved', requireAdmin(), async (req,res) => {
+  const {dormitory, grade} = req.query;
   try{
-    const allReservations = await Reservation.find({});
-    socket.emit('reservationsInitial', allReservations); // 초기 예약 정보 전송
-    const adminSettings = await AdminSetting.findOne({key:'reservationTimes'});
-    socket.emit('adminSettingsInitial', adminSettings); // 초기 관리자 설정 전송
-    const announcement = await Announcement.findOne({key:'currentAnnouncement'});
-    socket.emit('announcementInitial', announcement); // 초기 일반 공지 전송
-    const adminAnnouncement = await AdminOnlyAnnouncement.findOne({key:'adminOnlyAnnouncement'});
-    socket.emit('adminOnlyAnnouncementInitial', adminAnnouncement); // 초기 관리자 전용 공지 전송
+    const match = {};
+    if(dormitory) match.dormitory = String(dormitory);
+    if(grade) match.grade = String(grade);
+    const entries = await RosterEntry.aggregate([
+      {$match:match},
+      {$lookup:{
+        from:Reservation.collection.name,
+        let:{roomNo:'$roomNo', name:'$name'},
+        pipeline:[
+          {$match:{$expr:{$and:[{$eq:['$roomNo','$$roomNo']}, {$eq:['$name','$$name']}]}}},
+          {$project:{_id:1}}
+        ],
+        as:'reservation'
+      }},
+      {$match:{reservation:{$size:0}}},
+      {$project:{reservation:0}},
+      {$sort:{dormitory:1, roomNo:1, name:1}}
+    ]);
+    res.json({total:entries.length, entries});
+  }catch(e){
+    console.error('미예약 학생 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 스냅샷 목록 조회 API (term으로 학기 보관 스냅샷만 조회 가능)
+app.get('/api/admin/snapshots', requireAdmin(), async (req,res) => {
+  try{
+    const filter = {};
+    if(req.query.term) filter.term = String(req.query.term);
+    if(req.query.reason) filter.reason = String(req.query.reason);
+    res.json(await ReservationSnapshot.find(filter).select(SNAPSHOT_SUMMARY_FIELDS).sort({createdAt:-1}).lean());
+  }catch(e){
+    console.error('스냅샷 목록 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 스냅샷 수동 생성 API (운영자 이상)
+app.post('/api/admin/snapshots', requireAdmin('operator'), async (req,res) => {
+  const {name} = req.body || {};
+  try{
+    const snapshot = await createSnapshot({name:name || `수동 백업 ${new Date().toISOString()}`, reason:'manual', createdBy:req.admin.username});
+    console.log(`관리자(${req.admin.username}) 스냅샷 생성: ${snapshot.name} (${snapshot.count}건). IP: ${req.ip}`);
+    await writeAuditLog(req, {action:'snapshot.create', target:String(snapshot._id), after:{name:snapshot.name, count:snapshot.count}});
+    res.json({success:true, message:'스냅샷이 생성되었습니다.', snapshotId:snapshot._id, count:snapshot.count});
+  }catch(e){
+    console.error('스냅샷 생성 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 스냅샷 상세 조회 API (예약 목록 포함, 비밀번호 제외)
+app.get('/api/admin/snapshots/:id', requireAdmin(), async (req,res) => {
+  const {id} = req.params;
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'스냅샷을 찾을 수 없습니다.'});
+  try{
+    const snapshot = await ReservationSnapshot.findById(id).select('-reservations.password').lean();
+    if(!snapshot) return res.status(404).json({message:'스냅샷을 찾을 수 없습니다.'});
+    res.json(snapshot);
+  }catch(e){
+    console.error('스냅샷 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 스냅샷과 현재 예약 비교 API
+app.get('/api/admin/snapshots/:id/diff', requireAdmin(), async (req,res) => {
+  const {id} = req.params;
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'스냅샷을 찾을 수 없습니다.'});
+  try{
+    const snapshot = await ReservationSnapshot.findById(id).lean();
+    if(!snapshot) return res.status(404).json({message:'스냅샷을 찾을 수 없습니다.'});
+    res.json({snapshotId:snapshot._id, name:snapshot.name, createdAt:snapshot.createdAt, ...await diffSnapshot(snapshot)});
+  }catch(e){
+    console.error('스냅샷 비교 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 스냅샷 복원 API (현재 상태를 먼저 스냅샷으로 저장한 뒤 예약 전체를 스냅샷 내용으로 교체 / 최고 관리자 전용)
+// restoreSettings가 true이면 예약 기간 설정도 함께 복원
+app.post('/api/admin/snapshots/:id/restore', requireAdmin('superadmin'), requireTransactions, async (req,res) => {
+  const {id} = req.params;
+  const {restoreSettings} = req.body || {};
+  if(!mongoose.isValidObjectId(id)) return res.status(404).json({message:'스냅샷을 찾을 수 없습니다.'});
+
+  const session = await mongoose.startSession();
+  try{
+    const snapshot = await ReservationSnapshot.findById(id).lean();
+    if(!snapshot) return res.status(404).json({message:'스냅샷을 찾을 수 없습니다.'});
+    const backup = await createSnapshot({
+      name:`복원 전 자동 백업 (${snapshot.name})`, reason:'pre_restore', createdBy:req.admin.username
+    });
+    await writeAuditLog(req, {
+      action:'snapshot.restore', target:String(snapshot._id),
+      before:{backupSnapshotId:backup._id, count:backup.count}, after:{count:snapshot.count, restoreSettings:!!restoreSettings}
+    }, {required:true});
+
+    await session.withTransaction(async () => {
+      await Reservation.deleteMany({}, {session});
+      if(snapshot.reservations.length > 0){
+        await Reservation.insertMany(snapshot.reservations.map(r => ({
+          _id:r.originalId, roomNo:r.roomNo, name:r.name, dormitory:r.dormitory, floor:r.floor, seat:r.seat,
+          password:r.password, createdAt:r.createdAt
+        })), {session});
+      }
+      if(restoreSettings && snapshot.settings && Array.isArray(snapshot.settings.windows)){
+        await ReservationWindow.deleteMany({}, {session});
+        if(snapshot.settings.windows.length > 0) await ReservationWindow.insertMany(snapshot.settings.windows, {session});
+      }
+    });
+    console.warn(`[스냅샷 복원] 관리자(${req.admin.username})가 스냅샷(${snapshot.name}, ${snapshot.count}건)을 복원했습니다. 복원 전 백업: ${backup._id}, IP: ${req.ip}`);
+    await broadcastResync(); // 모든 클라이언트에 예약 목록 다시 받도록 알림
+    if(restoreSettings){
+      io.emit('settingsUpdated', await getLegacySettings());
+      await broadcastSchedule();
+    }
+    res.json({success:true, message:'스냅샷이 복원되었습니다.', restored:snapshot.count, backupSnapshotId:backup._id});
+  }catch(e){
+    console.error('스냅샷 복원 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }finally{
+    await session.endSession();
+  }
+});
+
+// 학기 보관 API (현재 예약을 학기 이름으로 보관 / reset이 true이면 보관 후 예약 전체 삭제 / 최고 관리자 전용)
+app.post('/api/admin/terms/archive', requireAdmin('superadmin'), async (req,res) => {
+  const {term, reset} = req.body || {};
+  if(!term) return res.status(400).json({message:'학기 이름을 입력해주세요.'});
+
+  try{
+    if(await ReservationSnapshot.exists({reason:'term_archive', term:String(term)}))
+      return res.status(409).json({message:'이미 보관된 학기입니다.'});
+    const snapshot = await createSnapshot({name:`${term} 학기 보관`, reason:'term_archive', term:String(term), createdBy:req.admin.username});
+    await writeAuditLog(req, {action:'term.archive', target:String(term), after:{snapshotId:snapshot._id, count:snapshot.count, reset:!!reset}}, {required:true});
+    if(reset){
+      await Reservation.deleteMany({_id:{$in:snapshot.reservations.map(r => r.originalId)}});
+      await broadcastResync(); // 모든 클라이언트에 예약 목록 다시 받도록 알림
+    }
+    console.warn(`[학기 보관] 관리자(${req.admin.username})가 ${term} 학기 예약(${snapshot.count}건)을 보관했습니다.${reset ? ' (보관 후 전체 삭제)' : ''} IP: ${req.ip}`);
+    res.json({success:true, message:'학기 예약이 보관되었습니다.', snapshotId:snapshot._id, count:snapshot.count});
+  }catch(e){
+    console.error('학기 보관 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 보관된 학기 목록 조회 API
+app.get('/api/admin/terms', requireAdmin(), async (req,res) => {
+  try{
+    res.json(await ReservationSnapshot.find({reason:'term_archive'}).select(SNAPSHOT_SUMMARY_FIELDS).sort({createdAt:-1}).lean());
+  }catch(e){
+    console.error('학기 목록 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 보관된 학기 좌석 조회 API (dormitory, floor, roomNo, name 필터 / 기숙사 -> 층 -> 좌석 순)
+app.get('/api/admin/terms/:term/reservations', requireAdmin(), async (req,res) => {
+  const {term} = req.params;
+  const {dormitory, floor, roomNo, name} = req.query;
+  try{
+    const match = {};
+    if(dormitory) match['reservations.dormitory'] = String(dormitory);
+    if(floor) match['reservations.floor'] = String(floor);
+    if(roomNo) match['reservations.roomNo'] = String(roomNo);
+    if(name) match['reservations.name'] = {$regex:escapeRegex(String(name)), $options:'i'};
+    const items = await ReservationSnapshot.aggregate([
+      {$match:{reason:'term_archive', term}},
+      {$unwind:'$reservations'},
+      {$match:match},
+      {$replaceRoot:{newRoot:'$reservations'}},
+      {$project:{password:0}},
+      {$sort:{dormitory:1, floor:1, seat:1}}
+    ]);
+    res.json({term, total:items.length, items});
+  }catch(e){
+    console.error('학기 좌석 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 감사 로그 조회 API (필터: actorType, actorName, action, reservation, from, to / 최신순, 페이지네이션 / 최고 관리자 전용)
+app.get('/api/admin/audit-logs', requireAdmin('superadmin'), async (req,res) => {
+  const built = buildAuditFilter(req.query);
+  if(built.error) return res.status(400).json({message:built.error});
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+  try{
+    const [items, total] = await Promise.all([
+      AuditLog.find(built.filter).sort({createdAt:-1}).skip((page-1)*limit).limit(limit).lean(),
+      AuditLog.countDocuments(built.filter)
+    ]);
+    res.json({items, total, page, limit, totalPages:Math.ceil(total/limit)});
+  }catch(e){
+    console.error('감사 로그 조회 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// 감사 로그 CSV 내보내기 API (조회 API와 같은 필터 / 최대 50,000건 / 최고 관리자 전용)
+const AUDIT_CSV_COLUMNS = [
+  {key:'createdAt', label:'시간'}, {key:'actorType', label:'주체 유형'}, {key:'actorName', label:'주체'},
+  {key:'ip', label:'IP'}, {key:'action', label:'작업'}, {key:'reservation', label:'대상 예약'},
+  {key:'target', label:'대상'}, {key:'before', label:'변경 전'}, {key:'after', label:'변경 후'}
+];
+app.get('/api/admin/audit-logs/export', requireAdmin('superadmin'), async (req,res) => {
+  const built = buildAuditFilter(req.query);
+  if(built.error) return res.status(400).json({message:built.error});
+
+  try{
+    const logs = await AuditLog.find(built.filter).sort({createdAt:-1}).limit(50000).lean();
+    await writeAuditLog(req, {action:'audit.export', after:{filter:req.query, count:logs.length}});
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="audit-logs-${new Date().toISOString().slice(0,10)}.csv"`);
+    res.send(toCsv(logs, AUDIT_CSV_COLUMNS));
+  }catch(e){
+    console.error('감사 로그 내보내기 실패:', e);
+    res.status(500).json({message:'서버 오류'});
+  }
+});
+
+// Socket.IO 이벤트
+io.on('connection', async (socket)=>{
+  console.log(`클라이언트 연결됨: ${socket.id}`);
+  socket.data.subscription = {}; // 좌석 구독 범위 (기본: 전체)
+  socket.join(ALL_SEATS_ROOM);
+  try{
+    const snapshot = await getReservationSnapshot();
+    socket.emit('reservationsInitial', snapshot.reservations); // 초기 예약 정보 전송 (공개용)
+    socket.emit('reservationVersionsInitial', snapshot.versions); // 초기 층별 예약 버전 전송
+    socket.emit('layoutInitial', await getLayout()); // 초기 좌석 배치 전송
+    socket.emit('adminSettingsInitial', await getLegacySettings()); // 초기 관리자 설정 전송 (기본 예약 기간)
+    socket.emit('scheduleInitial', await getSchedule()); // 초기 예약 기간 일정 전송
+    socket.emit('announcementInitial', toLegacyAnnouncement(await Notice.findOne({key:LEGACY_NOTICE_KEY}).lean())); // 초기 일반 공지 전송
+    socket.emit('announcementsInitial', await getLiveNotices()); // 초기 게시 중인 공지 목록 전송 (전체 대상)
+    socket.emit('holdsInitial', await getActiveHolds()); // 초기 좌석 선점 현황 전송
   }catch(e){
     console.error('초기 데이터 전송 실패:', e);
   }
-  socket.on('disconnect', () => {
+
+  // 좌석 구독 범위 변경: {dormitory, floor} (둘 다 없으면 전체, floor 없으면 기숙사 전체)
+  // ack로 해당 범위의 예약 목록, 층별 버전, 선점 현황 전달
+  socket.on('subscribeSeats', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try{
+      const {dormitory, floor} = data || {};
+      if(floor && !dormitory) return reply({success:false, message:'층을 구독하려면 기숙사가 필요합니다.'});
+      for(const room of socket.rooms){
+        if(room.startsWith('seats:') || room.startsWith('notice:')) socket.leave(room);
+      }
+      const subscription = {};
+      if(dormitory) subscription.dormitory = String(dormitory);
+      if(floor) subscription.floor = String(floor);
+      socket.data.subscription = subscription;
+      if(subscription.floor) socket.join(floorRoom(subscription.dormitory, subscription.floor));
+      else if(subscription.dormitory) socket.join(dormitoryRoom(subscription.dormitory));
+      else socket.join(ALL_SEATS_ROOM);
+      // 공지는 구독한 기숙사 대상 공지 + 구독한 층 대상 공지를 받음
+      if(subscription.dormitory) socket.join(noticeRoom({audience:'dormitory', dormitory:subscription.dormitory}));
+      if(subscription.floor) socket.join(noticeRoom({audience:'floor', ...subscription}));
+      socket.emit('announcementsInitial', await getLiveNotices(subscription)); // 구독 범위의 공지 목록 다시 전송
+      reply({success:true, subscription, ...await getReservationSnapshot(subscription), holds:await getActiveHolds(subscription)});
+    }catch(e){
+      console.error('좌석 구독 실패:', e);
+      reply({success:false, message:'서버 오류'});
+    }
+  });
+
+  // 누락 감지 시 재동기화 요청: 현재 구독 범위의 예약 목록, 층별 버전, 선점 현황 전달
+  socket.on('resync', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try{
+      const subscription = socket.data.subscription;
+      reply({success:true, subscription, ...await getReservationSnapshot(subscription), holds:await getActiveHolds(subscription)});
+    }catch(e){
+      console.error('재동기화 실패:', e);
+      reply({success:false, message:'서버 오류'});
+    }
+  });
+
+  // 대기 배정 알림 구독: {waitlistToken} (대기 신청 응답으로 받은 토큰)
+  socket.on('watchWaitlist', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try{
+      const {waitlistToken} = data || {};
+      if(typeof waitlistToken !== 'string') return reply({success:false, message:'대기 정보가 필요합니다.'});
+      const entry = await WaitlistEntry.findOne({token:waitlistToken}).select('status reservation').lean();
+      if(!entry) return reply({success:false, message:'대기 신청을 찾을 수 없습니다.'});
+      socket.join(`waitlist:${entry._id}`);
+      reply({success:true, entryId:entry._id, status:entry.status});
+    }catch(e){
+      console.error('대기 알림 구독 실패:', e);
+      reply({success:false, message:'서버 오류'});
+    }
+  });
+
+  // 예약 알림 구독: {roomNo, name, password} (좌석 교환 요청/수락/거절/취소/만료 알림을 받음)
+  socket.on('watchReservation', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try{
+      const {roomNo, name, password} = data || {};
+      if(!roomNo || !name || typeof password !== 'string') return reply({success:false, message:'예약 정보가 필요합니다.'});
+      const retryAfter = consumeSocketAuthRequest(getSocketClientIp(socket));
+      if(retryAfter) return reply({success:false, message:'Too many requests, please try again later.', retryAfter});
+      const resv = await Reservation.findOne({roomNo:String(roomNo).trim(), name:String(name).trim()}).select('roomNo name password').lean();
+      if(!resv) return reply({success:false, message:'예약 정보가 일치하지 않습니다.'});
+      const auth = await attemptResidentPassword(getSocketClientIp(socket), resv, password);
+      if(auth.throttled) return reply({success:false, message:auth.throttled.message, retryAfter:auth.throttled.retryAfter});
+      if(!auth.ok) return reply({success:false, message:'예약 정보가 일치하지 않습니다.'});
+      for(const room of socket.rooms){
+        if(room.startsWith('reservation:')) socket.leave(room);
+      }
+      socket.join(reservationRoom(resv._id));
+      reply({success:true, reservationId:resv._id});
+    }catch(e){
+      console.error('예약 알림 구독 실패:', e);
+      reply({success:false, message:'서버 오류'});
+    }
+  });
+
+  // 좌석 선점 요청: {dormitory, floor, seat, roomNo, name} -> ack({success, holdToken, expiresAt} 또는 {success:false, message})
+  // 한 소켓, 한 학생은 좌석 하나만 선점 가능 (새로 선점하면 기존 선점은 해제), IP당 선점 수 제한
+  // 해당 층이 예약(생성 또는 변경) 가능한 기간이고, 명단이 등록되어 있으면 명단에 있는 학생의 자기 기숙사 좌석일 때만 선점 가능
+  // 대기자에게 자동 배정되면 선점이 해제되고 'seatHoldRevoked'로 알림
+  socket.on('holdSeat', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try{
+      const {dormitory, floor, seat} = data || {};
+      const roomNo = trimInput((data || {}).roomNo) || '', name = trimInput((data || {}).name) || '';
+      if(!dormitory || !floor || seat === undefined) return reply({success:false, message:'좌석 정보가 필요합니다.'});
+      if(typeof roomNo !== 'string' || typeof name !== 'string') return reply({success:false, message:'입력 형식이 올바르지 않습니다.'});
+      const seatError = await validateSeatSelection(dormitory, floor, seat);
+      if(seatError) return reply({success:false, message:seatError});
+      const windowError = await checkReservationWindow(dormitory, floor, 'create');
+      if(windowError && await checkReservationWindow(dormitory, floor, 'change')) return reply({success:false, message:windowError});
+      const rosterError = await checkRosterEligibility(roomNo, name, dormitory);
+      if(rosterError) return reply({success:false, message:rosterError});
+      const target = {dormitory:String(dormitory), floor:String(floor), seat:Number(seat)};
+      if(await Reservation.exists(target)) return reply({success:false, message:'선택하신 좌석은 이미 예약되어 있습니다.'});
+
+      const ip = getSocketClientIp(socket);
+      // 이 소켓의 기존 선점은 아래에서 해제되므로 제외하고 셈
+      const ipHolds = await SeatHold.countDocuments({ip, socketId:{$ne:socket.id}, expiresAt:{$gt:new Date()}});
+      if(ipHolds >= SEAT_HOLD_MAX_PER_IP) return reply({success:false, message:'동시에 선택할 수 있는 좌석 수를 초과했습니다. 잠시 후 다시 시도해주세요.'});
+
+      await releaseHolds({socketId:socket.id});
+      if(roomNo && name) await releaseHolds({roomNo, name}, {revokedReason:'다른 창에서 좌석을 선택했습니다.'}); // 다른 소켓에서 선점한 좌석 해제
+      await releaseHolds({...target, expiresAt:{$lte:new Date()}}); // 아직 TTL로 삭제되지 않은 만료 선점 정리
+      const token = crypto.randomBytes(16).toString('hex');
+      const hold = await SeatHold.create({...target, token, socketId:socket.id, ip, roomNo, name, expiresAt:new Date(Date.now() + SEAT_HOLD_MS)});
+      io.to(seatRooms(hold.dormitory, hold.floor)).emit('seatHeld', toPublicHold(hold)); // 해당 좌석 구독자에게 선점 상태 알림
+      emitHoldActivity('held', hold);
+      reply({success:true, holdToken:token, expiresAt:hold.expiresAt});
+    }catch(e){
+      if(e.code === 11000) return reply({success:false, message:'다른 사용자가 선택 중인 좌석입니다.'});
+      console.error('좌석 선점 실패:', e);
+      reply({success:false, message:'서버 오류'});
+    }
+  });
+
+  // 좌석 선점 해제 요청: {holdToken}
+  socket.on('releaseSeat', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try{
+      const {holdToken} = data || {};
+      if(typeof holdToken !== 'string') return reply({success:false, message:'선점 정보가 필요합니다.'});
+      const released = await releaseHolds({token:holdToken});
+      reply({success:released > 0});
+    }catch(e){
+      console.error('좌석 선점 해제 실패:', e);
+      reply({success:false, message:'서버 오류'});
+    }
+  });
+
+  socket.on('disconnect', async () => {
     console.log(`클라이언트 연결 종료: ${socket.id}`);
+    try{
+      await releaseHolds({socketId:socket.id}); // 연결 종료 시 선점 해제
+    }catch(e){
+      console.error('연결 종료 시 좌석 선점 해제 실패:', e);
+    }
+  });
+});
+
+// 관리자 네임스페이스 인증: handshake auth.token 또는 Authorization: Bearer <token> 헤더의 관리자 세션 토큰 확인
+adminIo.use(async (socket, next) => {
+  try{
+    const header = socket.handshake.headers.authorization || '';
+    const token = (socket.handshake.auth && socket.handshake.auth.token) || (header.startsWith('Bearer ') ? header.slice(7).trim() : null);
+    const auth = await authenticateAdminToken(token);
+    if(!auth){
+      console.log(`관리자 소켓 인증 실패: ${socket.id}, IP: ${getSocketClientIp(socket)}`);
+      return next(new Error('관리자 로그인이 필요합니다.'));
+    }
+    socket.data.admin = {_id:auth.admin._id, username:auth.admin.username, role:auth.admin.role};
+    socket.data.sessionId = auth.session._id.toString();
+    socket.data.expiresAt = auth.session.expiresAt;
+    next();
+  }catch(e){
+    console.error('관리자 소켓 인증 실패:', e);
+    next(new Error('서버 오류'));
+  }
+});
+
+// 관리자 Socket.IO 이벤트
+adminIo.on('connection', async (socket)=>{
+  const {admin, sessionId, expiresAt} = socket.data;
+  console.log(`관리자 소켓 연결됨: ${admin.username} (${socket.id}), IP: ${getSocketClientIp(socket)}`);
+  socket.join([`admin:account:${admin._id}`, `admin:session:${sessionId}`, adminRoleRoom(admin.role)]);
+  // 세션 만료 시간이 되면 연결 종료
+  const expiryTimer = setTimeout(() => socket.disconnect(true), Math.min(Math.max(0, new Date(expiresAt).getTime() - Date.now()), 2147483647)); // setTimeout 최대 지연 시간 제한
+  try{
+    socket.emit('adminOnlyAnnouncementInitial', await AdminOnlyAnnouncement.findOne({key:'adminOnlyAnnouncement'})); // 초기 관리자 전용 공지 전송
+    socket.emit('statsInitial', await getAdminLiveStats()); // 초기 실시간 현황 전송
+    socket.emit('occupancyInitial', await getOccupancyStats()); // 초기 점유율 통계 전송
+  }catch(e){
+    console.error('관리자 초기 데이터 전송 실패:', e);
+  }
+
+  socket.on('disconnect', () => {
+    clearTimeout(expiryTimer);
+    console.log(`관리자 소켓 연결 종료: ${admin.username} (${socket.id})`);
   });
 });
 
-// 서버 구동
-server.listen(PORT, ()=>{
-  console.log(`서버 실행 중: http://localhost:${PORT}`);})
\ No newline at end of file
+// 서버 구동: MongoDB 연결, 주기 작업 등록, 포트 대기
+function startServer(){
+  // MongoDB 연결
+  mongoose.connect(MONGO_URI, {
+    useNewUrlParser:true,
+    useUnifiedTopology:true,
+    serverSelectionTimeoutMS:15000 // 서버 선택 타임아웃 15초
+  }).then(async ()=>{
+    console.log('MongoDB connected');
+    await checkTransactionSupport(); // 복제 세트 여부 확인 (트랜잭션 사용 API)
+    await seedAdminAccounts(); // 최초 실행 시 관리자 계정 생성
+    await migrateDropPlainPassword(); // 기존 예약의 평문 비밀번호 제거
+    await migrateLegacyReservationTimes(); // 기존 예약 가능 시간을 예약 기간으로 이전
+    await migrateLegacyAnnouncement(); // 기존 일반 공지사항을 공지로 이전
+  }).catch(err=>console.error('MongoDB connection failed:', err));
+
+  // 만료된 좌석 선점 주기적 정리 (5초마다)
+  setInterval(sweepExpiredHolds, 5000);
+
+  // 공지 게시 시작/종료 주기적 확인 (15초마다)
+  setInterval(tickNotices, 15000);
+
+  // 만료된 좌석 교환 요청 주기적 정리 (30초마다)
+  setInterval(expireSwapRequests, 30000);
+
+  // 자습 회차 종료 확인 및 결석 처리 (1분마다)
+  setInterval(tickAttendance, 60000);
+
+  // 관리자 실시간 현황 주기적 전송 (10초마다)
+  setInterval(pushAdminStats, 10000);
+
+  // 관리자 점유율 통계 주기적 전송 (30초마다)
+  setInterval(pushOccupancyStats, 30000);
+
+  // 소켓 비밀번호 확인 요청 기록 중 만료된 기록 정리 (1분마다)
+  setInterval(() => {
+    const now = Date.now();
+    for(const [ip, entry] of socketAuthRequests) if(entry.resetAt <= now) socketAuthRequests.delete(ip);
+  }, SOCKET_AUTH_WINDOW_MS);
+
+  server.listen(PORT, ()=>{
+    console.log(`서버 실행 중: http://localhost:${PORT}`);});
+}
+
+// 직접 실행할 때만 서버 구동 (테스트에서 require하면 DB 연결 없이 헬퍼만 사용)
+if(require.main === module) startServer();
+
+// 테스트용 내보내기
+module.exports = {
+  app, server, io,
+  models:{Reservation, SeatSwapRequest, StudySession, AttendanceRecord, AuthFailure, SeatMap, RosterEntry},
+  constants:{AUTH_MAX_FAILURES, AUTH_LOCK_MIN_IPS, AUTH_IP_DELAY_FAILURES, RESERVATION_CSV_ALIASES},
+  getWindowOccurrence, getLastEndedOccurrence, parseCsv, csvToObjects, validateImportRows, normalizeLayoutInput,
+  authFailureKeys, reserveAuthAttempt, recordAuthFailure, clearAuthFailures, attemptAuth,
+  exchangeSeats, processStudySession
+};
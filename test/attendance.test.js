@@ -0,0 +1,62 @@
+// 자습 회차 결석 처리 (processStudySession) 테스트
+const test = require('node:test');
+const assert = require('node:assert');
+const {processStudySession, models} = require('../app');
+const {skipWithoutDb, connectTestDb, clearTestDb, disconnectTestDb} = require('./support/db');
+const {Reservation, StudySession, AttendanceRecord} = models;
+
+test.describe('processStudySession', {skip:skipWithoutDb}, () => {
+  test.before(connectTestDb);
+  test.after(disconnectTestDb);
+  test.beforeEach(clearTestDb);
+
+  const start = new Date('2026-03-02T12:00:00Z');
+  const end = new Date('2026-03-02T14:00:00Z');
+  const now = new Date('2026-03-02T15:00:00Z');
+  const off = {enabled:false, maxMissed:3, consecutive:false};
+
+  // 회차 시작 전에 만든 일정과 예약 2건 (한 명은 체크인)
+  async function setup(){
+    const session = await StudySession.create({name:'야간 자습', startTime:start, endTime:end, createdAt:new Date('2026-03-01T00:00:00Z')});
+    const created = new Date('2026-03-01T09:00:00Z');
+    const present = await Reservation.create({roomNo:'301', name:'출석', dormitory:'A', floor:'3', seat:1, password:'pw9x', createdAt:created});
+    const absent = await Reservation.create({roomNo:'302', name:'결석', dormitory:'A', floor:'3', seat:2, password:'pw9x', createdAt:created});
+    await AttendanceRecord.create({
+      reservation:present._id, studySession:session._id, sessionStart:start, sessionEnd:end,
+      status:'present', method:'resident', checkedInAt:start
+    });
+    return {session, present, absent};
+  }
+
+  test('체크인하지 않은 예약만 결석 처리하고 처리한 회차 기록', async () => {
+    const {session, present, absent} = await setup();
+    // 회차 시작 후 예약한 사람은 대상에서 제외
+    const late = await Reservation.create({roomNo:'303', name:'늦은 예약', dormitory:'A', floor:'3', seat:3, password:'pw9x', createdAt:new Date('2026-03-02T13:00:00Z')});
+    await processStudySession(session.toObject(), off, now);
+
+    const records = await AttendanceRecord.find({studySession:session._id}).lean();
+    assert.strictEqual(records.length, 2);
+    assert.strictEqual(records.find(r => String(r.reservation) === String(present._id)).status, 'present');
+    const rec = records.find(r => String(r.reservation) === String(absent._id));
+    assert.strictEqual(rec.status, 'absent');
+    assert.strictEqual(rec.method, 'system');
+    assert.ok(!records.some(r => String(r.reservation) === String(late._id)));
+    assert.strictEqual((await StudySession.findById(session._id)).lastProcessedEnd.getTime(), end.getTime());
+  });
+
+  test('같은 회차를 다시 처리해도 결석 기록이 중복되지 않음', async () => {
+    const {session} = await setup();
+    const stale = session.toObject();
+    await processStudySession(stale, off, now);
+    await processStudySession(stale, off, now); // 갱신 전 lastProcessedEnd로 다시 실행 (다른 서버)
+    await processStudySession((await StudySession.findById(session._id)).toObject(), off, now);
+    assert.strictEqual(await AttendanceRecord.countDocuments({studySession:session._id, status:'absent'}), 1);
+  });
+
+  test('정책 사용 시 결석 기준에 도달한 예약 해제', async () => {
+    const {session, present, absent} = await setup();
+    await processStudySession(session.toObject(), {enabled:true, maxMissed:1, consecutive:false}, now);
+    assert.strictEqual(await Reservation.findById(absent._id), null);
+    assert.ok(await Reservation.findById(present._id));
+  });
+});
@@ -0,0 +1,78 @@
+// 인증 시도 제한 (reserveAuthAttempt, recordAuthFailure, attemptAuth) 테스트
+const test = require('node:test');
+const assert = require('node:assert');
+const {reserveAuthAttempt, recordAuthFailure, attemptAuth, models, constants} = require('../app');
+const {skipWithoutDb, connectTestDb, clearTestDb, disconnectTestDb} = require('./support/db');
+const {AuthFailure} = models;
+const {AUTH_MAX_FAILURES, AUTH_LOCK_MIN_IPS} = constants;
+
+test.describe('인증 시도 제한', {skip:skipWithoutDb}, () => {
+  test.before(connectTestDb);
+  test.after(disconnectTestDb);
+  test.beforeEach(clearTestDb);
+
+  const scope = 'reservation';
+  const target = 'reservation-1';
+
+  // 대기 시간이 지난 것처럼 점진적 지연만 해제 (잠금은 유지)
+  const skipDelays = () => AuthFailure.updateMany({}, {nextAttemptAt:null});
+
+  // verify 호출 횟수를 세는 실패 함수
+  function failingVerify(){
+    const verify = async () => { verify.calls++; return false; };
+    verify.calls = 0;
+    return verify;
+  }
+
+  test('실패 기록 후 같은 대상+IP의 동시 시도는 하나만 예약', async () => {
+    await recordAuthFailure(scope, {target, ip:'10.0.0.1'});
+    const results = await Promise.all(Array.from({length:5}, () => reserveAuthAttempt(scope, {target, ip:'10.0.0.1'})));
+    assert.strictEqual(results.filter(r => r === null).length, 1);
+    const pair = await AuthFailure.findOne({scope, kind:'pair', key:`${target}|10.0.0.1`}).lean();
+    assert.strictEqual(pair.pending, 1);
+  });
+
+  test('동시 요청이어도 대상+IP 잠금 전 실패는 최대 AUTH_MAX_FAILURES번', async () => {
+    const verify = failingVerify();
+    const burst = () => Promise.all(Array.from({length:10}, () => attemptAuth(scope, {target, ip:'10.0.0.1'}, verify)));
+    for(let i = 0; i < AUTH_MAX_FAILURES * 2; i++){
+      await burst();
+      await skipDelays();
+    }
+    assert.strictEqual(verify.calls, AUTH_MAX_FAILURES);
+    const pair = await AuthFailure.findOne({scope, kind:'pair', key:`${target}|10.0.0.1`}).lean();
+    assert.ok(pair.lockedUntil > new Date());
+    assert.strictEqual(pair.pending, 0);
+
+    // IP 하나의 실패로는 대상이 잠기지 않으므로 다른 IP(정상 사용자)는 인증 가능
+    const targetRecord = await AuthFailure.findOne({scope, kind:'target', key:target}).lean();
+    assert.strictEqual(targetRecord.lockedUntil, null);
+    const result = await attemptAuth(scope, {target, ip:'10.0.0.2'}, async () => true);
+    assert.strictEqual(result.ok, true);
+  });
+
+  test('AUTH_LOCK_MIN_IPS개 IP에서 실패하면 대상 잠금', async () => {
+    const verify = failingVerify();
+    for(let i = 0; i < Math.max(AUTH_MAX_FAILURES, AUTH_LOCK_MIN_IPS); i++){
+      const result = await attemptAuth(scope, {target, ip:`10.0.1.${i % AUTH_LOCK_MIN_IPS}`}, verify);
+      assert.ok(!result.throttled);
+      await skipDelays();
+    }
+    const record = await AuthFailure.findOne({scope, kind:'target', key:target}).lean();
+    assert.ok(record.lockedUntil > new Date());
+
+    const other = failingVerify();
+    const result = await attemptAuth(scope, {target, ip:'10.0.2.1'}, other);
+    assert.ok(result.throttled);
+    assert.strictEqual(other.calls, 0);
+  });
+
+  test('인증 성공 시 대상+IP 실패 횟수와 진행 중 시도 초기화', async () => {
+    await attemptAuth(scope, {target, ip:'10.0.0.1'}, async () => false);
+    await attemptAuth(scope, {target, ip:'10.0.0.1'}, async () => true);
+    const pair = await AuthFailure.findOne({scope, kind:'pair', key:`${target}|10.0.0.1`}).lean();
+    assert.strictEqual(pair.failures, 0);
+    assert.strictEqual(pair.nextAttemptAt, null);
+    assert.strictEqual(await AuthFailure.countDocuments({pending:{$gt:0}}), 0);
+  });
+});
@@ -0,0 +1,54 @@
+// 예약 가져오기 CSV 파싱 (parseCsv, csvToObjects) 및 행 검증 (validateImportRows) 테스트
+const test = require('node:test');
+const assert = require('node:assert');
+const {parseCsv, csvToObjects, validateImportRows, models, constants} = require('../app');
+const {skipWithoutDb, connectTestDb, clearTestDb, disconnectTestDb} = require('./support/db');
+
+test('parseCsv: 따옴표 안의 쉼표, 줄바꿈, 이스케이프된 따옴표', () => {
+  const rows = parseCsv('a,"b,c","줄\n바꿈","say ""hi"""\r\n1,2,3,4');
+  assert.deepStrictEqual(rows, [['a', 'b,c', '줄\n바꿈', 'say "hi"'], ['1', '2', '3', '4']]);
+});
+
+test('parseCsv: BOM 제거, 빈 줄 무시, 마지막 줄바꿈 없어도 처리', () => {
+  assert.deepStrictEqual(parseCsv('\uFEFFx,y\n\n , \n1,2'), [['x', 'y'], ['1', '2']]);
+});
+
+test('csvToObjects: 한글/영문 헤더 별칭, 줄 번호, 값 공백 제거', () => {
+  const parsed = csvToObjects('호실,Name,기숙사,층,좌석,password\n 301 ,홍길동,A,3,12,pw9x\n', constants.RESERVATION_CSV_ALIASES);
+  assert.deepStrictEqual(parsed.rows, [
+    {line:2, roomNo:'301', name:'홍길동', dormitory:'A', floor:'3', seat:'12', password:'pw9x'}
+  ]);
+  assert.ok(csvToObjects('', constants.RESERVATION_CSV_ALIASES).error);
+});
+
+test.describe('validateImportRows', {skip:skipWithoutDb}, () => {
+  test.before(connectTestDb);
+  test.after(disconnectTestDb);
+  test.beforeEach(clearTestDb);
+
+  const row = (line, over={}) => ({line, roomNo:`30${line}`, name:`학생${line}`, dormitory:'A', floor:'3', seat:String(line), password:'pw9x', ...over});
+
+  test('필수값 누락, 약한 비밀번호, 파일 안 중복을 줄 번호와 함께 보고', async () => {
+    const {rows, errors} = await validateImportRows([
+      row(1),
+      row(2, {name:''}),
+      row(3, {password:'1234'}),
+      row(4, {seat:'1'}), // 1번 줄과 같은 좌석
+      row(5, {roomNo:'301', name:'학생1'}) // 1번 줄과 같은 학생
+    ]);
+    assert.deepStrictEqual(rows.map(r => r.line), [1]);
+    assert.deepStrictEqual(errors.map(e => e.line), [2, 3, 4, 5]);
+    assert.match(errors[1].messages.join(), /단순한 비밀번호/);
+    assert.match(errors[2].messages.join(), /같은 좌석/);
+    assert.match(errors[3].messages.join(), /같은 호실\+이름/);
+  });
+
+  test('기존 예약과의 중복은 replace가 아닐 때만 오류', async () => {
+    await models.Reservation.create({roomNo:'301', name:'학생1', dormitory:'A', floor:'3', seat:9, password:'pw9x'});
+    const merged = await validateImportRows([row(1), row(2, {seat:'9'})]);
+    assert.deepStrictEqual(merged.errors.map(e => e.line), [1, 2]);
+    const replaced = await validateImportRows([row(1), row(2, {seat:'9'})], {replace:true});
+    assert.strictEqual(replaced.errors.length, 0);
+    assert.strictEqual(replaced.rows.length, 2);
+  });
+});
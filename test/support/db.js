@@ -0,0 +1,29 @@
+// 테스트용 MongoDB 연결 (MONGO_TEST_URI가 없으면 DB가 필요한 테스트는 건너뜀)
+// 주의: 테스트마다 데이터베이스를 비우므로 운영 DB가 아닌 테스트 전용 DB 주소를 사용해야 함
+const mongoose = require('mongoose');
+
+const MONGO_TEST_URI = process.env.MONGO_TEST_URI;
+const skipWithoutDb = MONGO_TEST_URI ? false : 'MONGO_TEST_URI 미설정 (MongoDB가 필요한 테스트)';
+
+async function connectTestDb(){
+  await mongoose.connect(MONGO_TEST_URI, {serverSelectionTimeoutMS:5000});
+  await mongoose.connection.dropDatabase();
+  await Promise.all(Object.values(mongoose.models).map(m => m.syncIndexes())); // 유일 인덱스 필요
+}
+
+async function clearTestDb(){
+  await Promise.all(Object.values(mongoose.connection.collections).map(c => c.deleteMany({})));
+}
+
+async function disconnectTestDb(){
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+}
+
+// 트랜잭션 지원 여부 (복제 세트 또는 mongos)
+async function supportsTransactions(){
+  const hello = await mongoose.connection.db.admin().command({hello:1});
+  return !!hello.setName || hello.msg === 'isdbgrid';
+}
+
+module.exports = {skipWithoutDb, connectTestDb, clearTestDb, disconnectTestDb, supportsTransactions};
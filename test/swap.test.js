@@ -0,0 +1,68 @@
+// 좌석 교환 (exchangeSeats) 테스트 (트랜잭션을 쓰므로 복제 세트 MongoDB 필요)
+const test = require('node:test');
+const assert = require('node:assert');
+const {exchangeSeats, models} = require('../app');
+const {skipWithoutDb, connectTestDb, clearTestDb, disconnectTestDb, supportsTransactions} = require('./support/db');
+const {Reservation, SeatSwapRequest} = models;
+
+test.describe('exchangeSeats', {skip:skipWithoutDb}, () => {
+  let transactions = false;
+  test.before(async () => {
+    await connectTestDb();
+    transactions = await supportsTransactions();
+  });
+  test.after(disconnectTestDb);
+  test.beforeEach(clearTestDb);
+
+  // 같은 층 두 예약과 대기 중인 교환 요청 생성
+  async function createSwap(){
+    const a = await Reservation.create({roomNo:'301', name:'요청자', dormitory:'A', floor:'3', seat:1, password:'pw9x'});
+    const b = await Reservation.create({roomNo:'302', name:'상대', dormitory:'A', floor:'3', seat:2, password:'pw9x'});
+    const swap = await SeatSwapRequest.create({
+      requester:a._id, target:b._id,
+      requesterSeat:{dormitory:'A', floor:'3', seat:1}, targetSeat:{dormitory:'A', floor:'3', seat:2},
+      expiresAt:new Date(Date.now() + 60000)
+    });
+    return {a, b, swap};
+  }
+
+  test('두 좌석을 맞바꾸고 요청을 수락 상태로 변경', async t => {
+    if(!transactions) return t.skip('단독(standalone) MongoDB는 트랜잭션 미지원');
+    const {a, b, swap} = await createSwap();
+    const result = await exchangeSeats(swap);
+    assert.ok(result);
+    assert.strictEqual((await Reservation.findById(a._id)).seat, 2);
+    assert.strictEqual((await Reservation.findById(b._id)).seat, 1);
+    assert.strictEqual((await SeatSwapRequest.findById(swap._id)).status, 'accepted');
+    assert.strictEqual(result.after.requester.seat, 2);
+    assert.strictEqual(result.after.target.seat, 1);
+  });
+
+  test('요청 이후 좌석이 바뀌었으면 교환하지 않음', async t => {
+    if(!transactions) return t.skip('단독(standalone) MongoDB는 트랜잭션 미지원');
+    const {a, b, swap} = await createSwap();
+    await Reservation.updateOne({_id:a._id}, {seat:5});
+    assert.strictEqual(await exchangeSeats(swap), null);
+    assert.strictEqual((await Reservation.findById(a._id)).seat, 5);
+    assert.strictEqual((await Reservation.findById(b._id)).seat, 2);
+    assert.strictEqual((await SeatSwapRequest.findById(swap._id)).status, 'pending');
+  });
+
+  test('이미 대기 중이 아닌 요청은 교환하지 않음', async t => {
+    if(!transactions) return t.skip('단독(standalone) MongoDB는 트랜잭션 미지원');
+    const {a, b, swap} = await createSwap();
+    await SeatSwapRequest.updateOne({_id:swap._id}, {status:'cancelled'});
+    assert.strictEqual(await exchangeSeats(swap), null);
+    assert.strictEqual((await Reservation.findById(a._id)).seat, 1);
+    assert.strictEqual((await Reservation.findById(b._id)).seat, 2);
+  });
+
+  test('같은 요청을 동시에 수락해도 한 번만 교환', async t => {
+    if(!transactions) return t.skip('단독(standalone) MongoDB는 트랜잭션 미지원');
+    const {a, b, swap} = await createSwap();
+    const results = await Promise.all([exchangeSeats(swap), exchangeSeats(swap)]);
+    assert.strictEqual(results.filter(Boolean).length, 1);
+    assert.strictEqual((await Reservation.findById(a._id)).seat, 2);
+    assert.strictEqual((await Reservation.findById(b._id)).seat, 1);
+  });
+});
@@ -0,0 +1,46 @@
+// 예약 기간 회차 계산 (getWindowOccurrence) 테스트
+const test = require('node:test');
+const assert = require('node:assert');
+const {getWindowOccurrence} = require('../app');
+
+const HOUR = 60 * 60000;
+const DAY = 24 * HOUR;
+const base = new Date('2026-03-02T09:00:00Z'); // 첫 회차 시작
+
+test('반복 없는 기간: 시작 전에는 다음 회차, 진행 중에는 active, 종료 후에는 null', () => {
+  const w = {startTime:base, endTime:new Date(base.getTime() + 2*HOUR), recurrence:'none'};
+  const before = getWindowOccurrence(w, new Date(base.getTime() - HOUR));
+  assert.deepStrictEqual(before, {start:w.startTime, end:w.endTime, active:false});
+  assert.strictEqual(getWindowOccurrence(w, new Date(base.getTime() + HOUR)).active, true);
+  assert.strictEqual(getWindowOccurrence(w, w.endTime), null); // 종료 시간 자체는 포함하지 않음
+});
+
+test('매일 반복: 회차 사이에는 다음 날 회차, 회차 중에는 그날 회차', () => {
+  const w = {startTime:base, endTime:new Date(base.getTime() + 2*HOUR), recurrence:'daily'};
+  const between = getWindowOccurrence(w, new Date(base.getTime() + 3*DAY + 5*HOUR));
+  assert.strictEqual(between.start.getTime(), base.getTime() + 4*DAY);
+  assert.strictEqual(between.active, false);
+  const during = getWindowOccurrence(w, new Date(base.getTime() + 3*DAY + HOUR));
+  assert.strictEqual(during.start.getTime(), base.getTime() + 3*DAY);
+  assert.strictEqual(during.active, true);
+});
+
+test('매주 반복: 종료 시간 직후에는 다음 주 회차', () => {
+  const w = {startTime:base, endTime:new Date(base.getTime() + 2*HOUR), recurrence:'weekly'};
+  const next = getWindowOccurrence(w, new Date(base.getTime() + 7*DAY + 2*HOUR));
+  assert.strictEqual(next.start.getTime(), base.getTime() + 14*DAY);
+  assert.strictEqual(next.end.getTime(), base.getTime() + 14*DAY + 2*HOUR);
+});
+
+test('반복 종료일 이후 회차는 없음', () => {
+  const w = {
+    startTime:base, endTime:new Date(base.getTime() + 2*HOUR), recurrence:'daily',
+    recurrenceUntil:new Date(base.getTime() + 2*DAY)
+  };
+  assert.strictEqual(getWindowOccurrence(w, new Date(base.getTime() + 2*DAY + HOUR)).active, true);
+  assert.strictEqual(getWindowOccurrence(w, new Date(base.getTime() + 2*DAY + 3*HOUR)), null);
+});
+
+test('시작/종료 시간이 없으면 null', () => {
+  assert.strictEqual(getWindowOccurrence({startTime:null, endTime:null}), null);
+});